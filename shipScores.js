@@ -13,6 +13,31 @@
   // Uses:
   // - Liners + ships loaded from ethi_vessels (OData)
   // - Inspection history loaded LAZY via incidents OData when a ship node is expanded
+  // - Deep links: search query + open liner/ship synced to ?q / ?line / ?vessel
+  // - OData URLs built with shipScoresOData.js (typed literals, consistent encoding)
+  // - Vessels + histories cached in sessionStorage with a TTL (ShipScores.clearCache())
+  // - Data comes from a pluggable data source: Dataverse (default) or a JSON
+  //   fixture with simulated latency/errors (ShipScores.setDataSource())
+  // - "Compare" checkbox per ship (max 4) + side-by-side comparison panel
+  // - Expand / collapse all (visible cruise lines or filtered ships); histories
+  //   for bulk-expanded ships load in throttled chunks via the batch queue
+  // - Opt-in treeview keyboard mode (roving tabindex, arrows, Home/End, type-ahead)
+  // - ARIA 1.2 combobox suggestions (cruise lines + ships) on the search input
+  // - Structured search: line:, ship:, score<86, year:2024, weight:a-b (AND)
+  // - Accent / punctuation-insensitive multi-token search with <mark> highlights
+  // - "Recent inspections" panel (fleet-wide, newest first) linking into the tree
+  // - Per cruise line stats (ships, mean / lowest latest score, latest date)
+  // - Rating bands (configurable pass score / multi-band) as text badges on
+  //   history rows and the ship summary
+  // - Inline SVG score trend chart (2+ inspections) with a text summary
+  // - CSV (UTF-8 BOM) / JSON export of the filtered results, histories included
+  // - "Show as table" toggle: flat, sortable table of the filtered vessels
+  // - Sort control: lines/ships by name, latest score (either direction) or most
+  //   recent inspection, from the vessels query expansion
+  // - ShipScores.init(options) creates independent instances (destroy() to tear down);
+  //   #browseTree is still initialized automatically
+  // - Load errors classified (offline/auth/throttled/server); transient ones retried
+  //   with backoff, then surfaced with a Retry button (tree + per-ship history)
   //
   // OPTIMIZATION:
   // - ethi_shipweightrange loaded with ethi_vessels query
@@ -20,8 +45,8 @@
   // - Filled immediately on expand from cached vessel metadata
   //
   // NOTE:
-  // - Last-5-years filtering is applied client-side to avoid tenant-specific
-  //   OData function issues.
+  // - Look-back filtering (default 5 years, user-selectable) is applied
+  //   client-side to avoid tenant-specific OData function issues.
   // - Wrap summary label text in <span class="browse-tree__label">...</span>
   //   so CSS can add spacing between native marker and label without truncation.
   //
@@ -39,6 +64,9 @@
 
   var DBG = true;
 
+  // Query builder (shipScoresOData.js, loaded before this file)
+  var OData = window.ShipScoresOData || null;
+
   // =========================================================
   // M1: eTHIDiagnostics integration (matches SSI/GI pattern)
   // =========================================================
@@ -58,16 +86,13 @@
     };
   })();
 
-  // Tracks whether Dataverse returned any data at all (system-empty vs search-no-match)
-  var __ShipScoresData = {
-    loaded: false,
-    totalLiners: 0,
-    totalShips: 0
-  };
+  // Look-back window in years (0 = all available); see "Look-back period"
+  var DEFAULT_LOOKBACK_YEARS = 5;
+  var LOOKBACK_OPTIONS = [1, 2, 5, 0];
 
-  // Lazy inspection cache:
-  // vesselId -> { loaded:boolean, loading:boolean, rows:[{date,score}], promise:Promise }
-  var __InspectionCache = Object.create(null);
+  // Live instances (ShipScores.init / auto-init); one per tree root
+  var __instances = [];
+  var __instanceSeq = 0;
 
   function qsa(root, sel) {
     return Array.prototype.slice.call((root || document).querySelectorAll(sel));
@@ -101,6 +126,320 @@
     summaryEl.appendChild(heading);
   }
 
+  // Label text only (ignores badges appended to the heading)
+  function summaryLabelText(summaryEl) {
+    return textOf(qs(summaryEl, ".browse-tree__label")) || textOf(summaryEl);
+  }
+
+  // Text badge after the label inside the summary heading; null/"" removes it.
+  // srPrefix is visually hidden ("Latest rating:") so the heading reads as a sentence.
+  function setSummaryBadge(summaryEl, text, className, srPrefix) {
+    var heading = qs(summaryEl, ".browse-tree__heading");
+    if (!heading) return;
+
+    var old = qs(heading, ".browse-tree__badge");
+    if (old) heading.removeChild(old);
+    if (!text) return;
+
+    var badge = document.createElement("span");
+    badge.className = "browse-tree__badge " + (className || "");
+    if (srPrefix) {
+      var sr = document.createElement("span");
+      sr.className = "wb-inv";
+      sr.textContent = ", " + srPrefix + " ";
+      badge.appendChild(sr);
+    }
+    badge.appendChild(document.createTextNode(text));
+    heading.appendChild(badge);
+  }
+
+  // =========================================================
+  // Search text folding + match highlighting
+  //
+  // Case, accents (NFD, combining marks stripped) and punctuation are ignored
+  // and whitespace collapsed, so "celebrite" finds "Célébrité" and "msc"
+  // finds "M.S.C.". map[i] is the index in the original string of folded
+  // character i, which lets highlights wrap the original text.
+  // =========================================================
+  var SEARCH_MARKS_RE = /[\u0300-\u036f]/g;
+  var SEARCH_PUNCT_RE = /[^\p{L}\p{N}\s]/u;
+
+  function foldSearchText(str) {
+    var src = String(str || "");
+    var text = "";
+    var map = [];
+    var lastSpace = true;
+
+    for (var i = 0; i < src.length; i++) {
+      var folded = src.charAt(i).normalize("NFD").replace(SEARCH_MARKS_RE, "").toLowerCase();
+      for (var j = 0; j < folded.length; j++) {
+        var c = folded.charAt(j);
+        if (/\s/.test(c)) {
+          if (lastSpace) continue;
+          c = " ";
+          lastSpace = true;
+        } else if (SEARCH_PUNCT_RE.test(c)) {
+          continue;
+        } else {
+          lastSpace = false;
+        }
+        text += c;
+        map.push(i);
+      }
+    }
+
+    if (text.charAt(text.length - 1) === " ") {
+      text = text.slice(0, -1);
+      map.pop();
+    }
+    return { text: text, map: map };
+  }
+
+  // "Célébrité  M.S.C." -> ["celebrite", "msc"]
+  function searchTokens(raw) {
+    var t = foldSearchText(raw).text;
+    return t ? t.split(" ") : [];
+  }
+
+  function matchesAllTokens(foldedText, tokens) {
+    return tokens.every(function (t) { return foldedText.indexOf(t) !== -1; });
+  }
+
+  // Rebuilds a .browse-tree__label with <mark> around every token occurrence
+  function highlightLabel(labelEl, tokens) {
+    if (!labelEl) return;
+    var original = labelEl.textContent;
+    var folded = foldSearchText(original);
+
+    // Original-string ranges [start, end), merged
+    var ranges = [];
+    (tokens || []).forEach(function (t) {
+      var from = 0;
+      var at;
+      while (t && (at = folded.text.indexOf(t, from)) !== -1) {
+        ranges.push([folded.map[at], folded.map[at + t.length - 1] + 1]);
+        from = at + t.length;
+      }
+    });
+    ranges.sort(function (a, b) { return a[0] - b[0]; });
+    var merged = [];
+    ranges.forEach(function (r) {
+      var last = merged[merged.length - 1];
+      if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+      else merged.push(r.slice());
+    });
+
+    if (!merged.length && !labelEl.querySelector("mark")) return;
+
+    while (labelEl.firstChild) labelEl.removeChild(labelEl.firstChild);
+    var pos = 0;
+    merged.forEach(function (r) {
+      if (r[0] > pos) labelEl.appendChild(document.createTextNode(original.slice(pos, r[0])));
+      var mark = document.createElement("mark");
+      mark.className = "browse-tree__match";
+      mark.textContent = original.slice(r[0], r[1]);
+      labelEl.appendChild(mark);
+      pos = r[1];
+    });
+    if (pos < original.length) labelEl.appendChild(document.createTextNode(original.slice(pos)));
+  }
+
+  // =========================================================
+  // Structured search syntax (qualifiers + predicates, combined with AND)
+  //
+  //   line:carnival  ship:"Symphony"  score<86  score:80-90  year:2024
+  //   year>=2023  weight:100001-120000  plus bare words (names, as before)
+  //
+  // French keys work too (compagnie:, navire:, note, annee:, poids:).
+  // Malformed parts are reported in errors and left out of the filter.
+  // =========================================================
+  var SEARCH_KEYS = {
+    line: "line", ligne: "line", compagnie: "line",
+    ship: "ship", navire: "ship",
+    score: "score", note: "score",
+    year: "year", annee: "year",
+    weight: "weight", poids: "weight"
+  };
+
+  // Whitespace-separated parts; quoted runs keep their spaces
+  function splitSearchParts(raw) {
+    var parts = [];
+    var cur = "";
+    var quoted = false;
+    var str = String(raw || "");
+
+    for (var i = 0; i < str.length; i++) {
+      var c = str.charAt(i);
+      if (c === '"') quoted = !quoted;
+      if (!quoted && /\s/.test(c)) {
+        if (cur) parts.push(cur);
+        cur = "";
+      } else {
+        cur += c;
+      }
+    }
+    if (cur) parts.push(cur);
+    return { parts: parts, unclosedQuote: quoted };
+  }
+
+  // "80-90" -> { op: "between", min, max }; "86" -> { op, value }
+  function parseNumberPredicate(op, value, isValid) {
+    var range = /^(\d+)\s*-\s*(\d+)$/.exec(value);
+    if (range && op === ":") {
+      var min = Number(range[1]);
+      var max = Number(range[2]);
+      if (!isValid(min) || !isValid(max) || min > max) return null;
+      return { op: "between", min: min, max: max };
+    }
+    if (!/^\d+(\.\d+)?$/.test(value)) return null;
+    var n = Number(value);
+    return isValid(n) ? { op: op === ":" ? "=" : op, value: n } : null;
+  }
+
+  function testNumberPredicate(n, p) {
+    if (n === null || n === undefined || !isFinite(n)) return false;
+    switch (p.op) {
+      case "<": return n < p.value;
+      case "<=": return n <= p.value;
+      case ">": return n > p.value;
+      case ">=": return n >= p.value;
+      case "between": return n >= p.min && n <= p.max;
+      default: return n === p.value;
+    }
+  }
+
+  // -> { terms, line, ship (folded token lists), score, year, weight, errors, qualified }
+  function parseSearchQuery(raw) {
+    var c = { terms: [], line: [], ship: [], score: [], year: [], weight: [], errors: [], qualified: false };
+    var split = splitSearchParts(raw);
+    if (split.unclosedQuote) c.errors.push({ kind: "quote", part: "" });
+
+    split.parts.forEach(function (part) {
+      var m = /^([^\s:<>="]+)\s*(<=|>=|<|>|=|:)\s*(.*)$/.exec(part);
+      var keyFolded = m ? foldSearchText(m[1]).text : "";
+      // "10:30" or "M.S.C.:" stay plain words; only letter keys are qualifiers
+      if (!m || !/^[a-z]+$/.test(keyFolded)) {
+        c.terms = c.terms.concat(searchTokens(part));
+        return;
+      }
+
+      var key = SEARCH_KEYS[keyFolded];
+      var op = m[2];
+      var value = m[3].replace(/^"|"$/g, "").trim();
+      if (!key) {
+        c.errors.push({ kind: "unknown", part: part, key: m[1] });
+        return;
+      }
+      if (!value) {
+        c.errors.push({ kind: "value", part: part });
+        return;
+      }
+      c.qualified = true;
+
+      if (key === "line" || key === "ship") {
+        if (op !== ":") c.errors.push({ kind: "value", part: part });
+        else c[key] = c[key].concat(searchTokens(value));
+        return;
+      }
+
+      if (key === "weight") {
+        var w = /^(\d[\d,]*)(?:\s*-\s*(\d[\d,]*))?$/.exec(value);
+        var lo = w ? Number(w[1].replace(/,/g, "")) : NaN;
+        var hi = w ? Number((w[2] || w[1]).replace(/,/g, "")) : NaN;
+        if (op !== ":" || !w || lo > hi) c.errors.push({ kind: "weight", part: part });
+        else c.weight.push({ min: lo, max: hi });
+        return;
+      }
+
+      var pred = key === "score"
+        ? parseNumberPredicate(op, value, function (n) { return n >= 0 && n <= 100; })
+        : parseNumberPredicate(op, value, function (n) { return n >= 1900 && n <= 2999 && n === Math.floor(n); });
+      if (!pred) c.errors.push({ kind: key, part: part });
+      else c[key].push(pred);
+    });
+
+    return c;
+  }
+
+  function hasSearchCriteria(c) {
+    return !!(c.terms.length || c.line.length || c.ship.length ||
+      c.score.length || c.year.length || c.weight.length);
+  }
+
+  // Weight class label "100001 - 120000" -> [100001, 120000]
+  function weightClassRange(label) {
+    var nums = (String(label || "").replace(/[\s,]/g, "").match(/\d+/g) || []).map(Number);
+    if (!nums.length) return null;
+    return [nums[0], nums.length > 1 ? nums[1] : nums[0]];
+  }
+
+  function describeNumberPredicate(p) {
+    var fr = isFrench();
+    switch (p.op) {
+      case "<": return (fr ? "inférieure à " : "below ") + p.value;
+      case "<=": return (fr ? "au plus " : "at most ") + p.value;
+      case ">": return (fr ? "supérieure à " : "above ") + p.value;
+      case ">=": return (fr ? "au moins " : "at least ") + p.value;
+      case "between": return (fr ? "entre " : "between ") + p.min + (fr ? " et " : " and ") + p.max;
+      default: return (fr ? "égale à " : "equal to ") + p.value;
+    }
+  }
+
+  // Sentence for the status region, e.g. "Criteria: cruise line contains "carnival"; latest score below 86."
+  function describeSearchCriteria(c) {
+    var fr = isFrench();
+    var q = function (tokens) { return "\u201C" + tokens.join(" ") + "\u201D"; };
+    var out = [];
+
+    if (c.terms.length) out.push((fr ? "nom contient " : "name contains ") + q(c.terms));
+    if (c.line.length) out.push((fr ? "compagnie contient " : "cruise line contains ") + q(c.line));
+    if (c.ship.length) out.push((fr ? "navire contient " : "ship name contains ") + q(c.ship));
+    c.score.forEach(function (p) {
+      out.push((c.year.length
+        ? (fr ? "note d'inspection " : "inspection score ")
+        : (fr ? "dernière note " : "latest score ")) + describeNumberPredicate(p));
+    });
+    c.year.forEach(function (p) {
+      out.push(p.op === "="
+        ? (fr ? "inspecté en " : "inspected in ") + p.value
+        : (fr ? "année d'inspection " : "inspection year ") + describeNumberPredicate(p));
+    });
+    c.weight.forEach(function (w) {
+      out.push((fr ? "poids entre " : "weight between ") + w.min + (fr ? " et " : " and ") + w.max);
+    });
+
+    return out.length ? (fr ? "Critères : " : "Criteria: ") + out.join("; ") + "." : "";
+  }
+
+  function searchErrorText(errors) {
+    var fr = isFrench();
+    return errors.map(function (e) {
+      var part = "\u201C" + e.part + "\u201D";
+      switch (e.kind) {
+        case "quote":
+          return fr ? "Un guillemet n'est pas fermé." : "A quotation mark is not closed.";
+        case "unknown":
+          return fr
+            ? "Critère inconnu " + part + ". Utilisez line:, ship:, score, year: ou weight:."
+            : "Unknown qualifier " + part + ". Use line:, ship:, score, year: or weight:.";
+        case "score":
+          return fr
+            ? part + " : la note doit être un nombre de 0 à 100, par exemple score<86."
+            : part + ": the score must be a number from 0 to 100, for example score<86.";
+        case "year":
+          return fr
+            ? part + " : l'année doit comporter 4 chiffres, par exemple year:2024."
+            : part + ": the year must have 4 digits, for example year:2024.";
+        case "weight":
+          return fr
+            ? part + " : le poids doit être un nombre ou une plage, par exemple weight:100001-120000."
+            : part + ": the weight must be a number or a range, for example weight:100001-120000.";
+        default:
+          return fr ? part + " : valeur manquante ou invalide." : part + ": missing or invalid value.";
+      }
+    }).join(" ");
+  }
+
   function safeId(prefix) {
     return prefix + "_" + Math.random().toString(36).slice(2) + "_" + Date.now().toString(36);
   }
@@ -136,6 +475,45 @@
     return isFinite(n) ? (String(n) + "/100") : String(v);
   }
 
+  // =========================================================
+  // Rating bands (score -> text label, never colour alone)
+  //
+  // rating = { passScore, bands: [{ min, label }] } with bands sorted high to
+  // low; a score falls in the first band whose min it reaches. Built per
+  // instance from #shipScoresText (see getRating).
+  // =========================================================
+  var DEFAULT_PASS_SCORE = 86;
+
+  // "95:Excellent, 86:Satisfactory, 0:Unsatisfactory" -> [{ min, label }] (high to low)
+  function parseRatingBands(spec) {
+    return String(spec || "")
+      .split(",")
+      .map(function (part) {
+        var i = part.indexOf(":");
+        if (i === -1) return null;
+        var min = Number(part.slice(0, i).trim());
+        var label = part.slice(i + 1).trim();
+        return (isFinite(min) && label) ? { min: min, label: label } : null;
+      })
+      .filter(Boolean)
+      .sort(function (a, b) { return b.min - a.min; });
+  }
+
+  // -> { label, index, pass } or null (no score / below every band)
+  function ratingForScore(score, rating) {
+    var n = parseFloat(score);
+    if (!rating || !isFinite(n)) return null;
+    for (var i = 0; i < rating.bands.length; i++) {
+      var band = rating.bands[i];
+      if (n >= band.min) return { label: band.label, index: i, pass: n >= rating.passScore };
+    }
+    return null;
+  }
+
+  function ratingClassName(r) {
+    return "ship-rating ship-rating--" + (r.pass ? "pass" : "fail") + " ship-rating--band-" + r.index;
+  }
+
   function isWithinLastYears(isoDateTime, years) {
     if (!isoDateTime) return false;
     var dtMs = Date.parse(isoDateTime);
@@ -156,9 +534,9 @@
     return String(g || "").trim().replace(/[{}]/g, "");
   }
 
-  function odataGuidLiteral(g) {
-    var id = normalizeGuid(g);
-    return "guid'" + id + "'";
+  // Stable, GUID-based DOM id fragment (random ids break deep links)
+  function vesselDomKey(vesselId) {
+    return normalizeGuid(vesselId).toLowerCase().replace(/[^a-z0-9-]/g, "");
   }
 
   function getSummary(detailsEl) {
@@ -182,8 +560,10 @@
   //
   // Both return jQuery deferreds; we wrap into a native Promise so the
   // rest of shipScores.js can use .then()/.catch() uniformly.
+  //
+  // headers (optional): extra request headers, e.g. Prefer for annotations.
   // =========================================================
-  function doOdataGet(url) {
+  function doOdataGet(url, headers) {
     var hasETHI = window.eTHIDataverse && typeof window.eTHIDataverse.safeAjax === "function";
     var hasWebapi = window.webapi && typeof window.webapi.safeAjax === "function";
 
@@ -194,6 +574,7 @@
     // Both return jQuery deferred; wrap into native Promise (resolves with data only)
     return new Promise(function (resolve, reject) {
       var opts = { type: "GET", url: url, dataType: "json" };
+      if (headers) opts.headers = headers;
       var deferred;
 
       if (hasETHI) {
@@ -210,6 +591,15 @@
     });
   }
 
+  // Formatted values (lookup names, option labels) are only returned on request
+  var ODATA_FORMATTED_VALUE = "OData.Community.Display.V1.FormattedValue";
+
+  function formattedValue(row, field) {
+    if (!row) return "";
+    var v = row[field + "@" + ODATA_FORMATTED_VALUE];
+    return (v === null || v === undefined) ? "" : String(v).trim();
+  }
+
   // Normalize OData response to array
   function odataToArray(dataOrRows) {
     return Array.isArray(dataOrRows)
@@ -217,6 +607,156 @@
       : (dataOrRows && Array.isArray(dataOrRows.value) ? dataOrRows.value : []);
   }
 
+  // =========================================================
+  // Load error classification + automatic backoff
+  //
+  // kind:
+  //   offline    — navigator.onLine === false, or status 0 (no response)
+  //   auth       — 401/403 (session expired / forbidden) — never retried
+  //   throttled  — 429, honours Retry-After (seconds or HTTP date)
+  //   server     — 5xx
+  //   unknown    — anything else (4xx, parse errors)
+  // Transient kinds (offline, throttled, server) are retried automatically
+  // with exponential backoff before the error reaches the UI.
+  // =========================================================
+  var RETRY_MAX_ATTEMPTS = 3;
+  var RETRY_BASE_DELAY_MS = 1000;
+  var RETRY_MAX_DELAY_MS = 30000;
+
+  function errorStatus(err) {
+    if (!err) return 0;
+    var st = err.status;
+    if (st === undefined && err.xhr) st = err.xhr.status;
+    var n = parseInt(st, 10);
+    return isFinite(n) ? n : 0;
+  }
+
+  function retryAfterMs(err) {
+    var raw = null;
+    try {
+      if (err && typeof err.getResponseHeader === "function") raw = err.getResponseHeader("Retry-After");
+      else if (err && err.xhr && typeof err.xhr.getResponseHeader === "function") raw = err.xhr.getResponseHeader("Retry-After");
+      else if (err && err.retryAfter !== undefined) raw = err.retryAfter;
+    } catch (e) {}
+    if (raw === null || raw === undefined || raw === "") return null;
+
+    var secs = Number(raw);
+    if (isFinite(secs)) return Math.max(0, secs * 1000);
+    var at = Date.parse(String(raw));
+    return isNaN(at) ? null : Math.max(0, at - Date.now());
+  }
+
+  function classifyLoadError(err) {
+    var status = errorStatus(err);
+    var offline = typeof navigator !== "undefined" && navigator.onLine === false;
+    var kind = "unknown";
+
+    if (offline || status === 0) kind = "offline";
+    else if (status === 401 || status === 403) kind = "auth";
+    else if (status === 429) kind = "throttled";
+    else if (status >= 500 && status <= 599) kind = "server";
+
+    return {
+      kind: kind,
+      status: status,
+      transient: kind === "offline" || kind === "throttled" || kind === "server",
+      retryAfterMs: kind === "throttled" ? retryAfterMs(err) : null
+    };
+  }
+
+  function backoffDelayMs(attempt, info) {
+    if (info && info.retryAfterMs !== null && info.retryAfterMs !== undefined) {
+      return Math.min(info.retryAfterMs, RETRY_MAX_DELAY_MS);
+    }
+    var exp = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+    return Math.min(exp + Math.floor(Math.random() * RETRY_BASE_DELAY_MS / 2), RETRY_MAX_DELAY_MS);
+  }
+
+  // Runs request() (-> Promise) with automatic retries for transient failures.
+  // Rejections carry the original error plus .loadError = classifyLoadError(err).
+  // Shared by the Dataverse calls and the fixture source's simulated errors.
+  function withLoadRetry(request, label) {
+    var attempt = 0;
+
+    function tryOnce() {
+      attempt++;
+      return request().catch(function (err) {
+        var info = classifyLoadError(err);
+        if (!info.transient || attempt >= RETRY_MAX_ATTEMPTS) {
+          if (err && typeof err === "object") err.loadError = info;
+          else err = { status: info.status, statusText: String(err || ""), loadError: info };
+          throw err;
+        }
+
+        var delay = backoffDelayMs(attempt, info);
+        logger.warn("Transient " + (label || "OData") + " failure; retrying", {
+          kind: info.kind, status: info.status, attempt: attempt, delayMs: delay
+        });
+        return new Promise(function (resolve) { setTimeout(resolve, delay); }).then(tryOnce);
+      });
+    }
+
+    return tryOnce();
+  }
+
+  function doOdataGetWithRetry(url, headers) {
+    return withLoadRetry(function () { return doOdataGet(url, headers); });
+  }
+
+  function loadErrorOf(err) {
+    return (err && err.loadError) || classifyLoadError(err);
+  }
+
+  // =========================================================
+  // Paged OData GET: follows @odata.nextLink
+  //
+  // Server page size is requested with Prefer: odata.maxpagesize; the portal
+  // may still apply a smaller one, so we never rely on $top to get everything.
+  // Stops at ODATA_MAX_PAGES (safety limit) and flags the result as truncated.
+  //
+  // opts: { pageSize?, maxPages?, formattedValues?: boolean, label?: string }
+  // Resolves with { value: rows[], pages, truncated } (odataToArray-compatible).
+  // =========================================================
+  var ODATA_PAGE_SIZE = 500;
+  var ODATA_MAX_PAGES = 50;
+
+  function doOdataGetAll(url, opts) {
+    var o = opts || {};
+    var pageSize = o.pageSize || ODATA_PAGE_SIZE;
+    var maxPages = o.maxPages || ODATA_MAX_PAGES;
+    var label = o.label || "OData";
+
+    var prefer = ["odata.maxpagesize=" + pageSize];
+    if (o.formattedValues) prefer.unshift('odata.include-annotations="' + ODATA_FORMATTED_VALUE + '"');
+    var headers = { Prefer: prefer.join(",") };
+
+    var rows = [];
+    var pages = 0;
+
+    function fetchPage(pageUrl) {
+      return doOdataGetWithRetry(pageUrl, headers).then(function (data) {
+        pages++;
+        rows = rows.concat(odataToArray(data));
+
+        var nextLink = data && !Array.isArray(data) ? data["@odata.nextLink"] : null;
+        if (nextLink && pages < maxPages) {
+          logger.debug(label + ": following nextLink", { page: pages + 1 });
+          return fetchPage(nextLink);
+        }
+
+        var truncated = !!nextLink;
+        if (truncated) {
+          logger.warn(label + ": page limit reached; results truncated", { pages: pages, rows: rows.length, maxPages: maxPages });
+        }
+        logger.info(label + ": paged fetch complete", { pages: pages, rows: rows.length, truncated: truncated });
+
+        return { value: rows, pages: pages, truncated: truncated };
+      });
+    }
+
+    return fetchPage(url);
+  }
+
   // =========================================================
   // Title sync: make document.title match the rendered page title
   // =========================================================
@@ -231,29 +771,12 @@
     }
   }
 
-  // =========================================================
-  // Summaries tabbable
-  // =========================================================
-  function ensureSummariesTabbable() {
-    qsa(document, "details.browse-tree__liner, details.browse-tree__ship").forEach(function (d) {
-      var s = getSummary(d);
-      if (!s) return;
-
-      if (!s.hasAttribute("tabindex")) s.setAttribute("tabindex", "0");
-      // 2026-02-25: Do NOT add role="button" — native <summary> already has
-      // disclosure semantics. Adding role="button" forces NVDA into focus mode.
-      if (s.getAttribute("role") === "button") s.removeAttribute("role");
-    });
-
-    logger.debug("Summaries ensured tabbable");
-  }
-
   // =========================================================
   // Region semantics + tabbability
   // =========================================================
   function ensureRegionSemantics(ship) {
     var sum = getSummary(ship);
-    var shipLabel = textOf(sum) || "(ship)";
+    var shipLabel = summaryLabelText(sum) || "(ship)";
     var r = getShipRegions(ship);
 
     [
@@ -281,7 +804,7 @@
       var cursor = x.el.previousElementSibling;
       while (cursor) {
         var tag = (cursor.tagName || "").toLowerCase();
-        if (tag === "h3" || tag === "h4") {
+        if (/^h[1-6]$/.test(tag)) {
           title = cursor;
           break;
         }
@@ -340,19 +863,6 @@
     }, delay);
   }
 
-  // =========================================================
-  // Initial collapse
-  // =========================================================
-  function collapseAllOnLoad() {
-    qsa(document, "details.browse-tree__liner, details.browse-tree__ship").forEach(function (d) {
-      d.open = false;
-    });
-    qsa(document, "details.browse-tree__ship").forEach(function (ship) {
-      setRegionsTabbable(ship, false);
-    });
-    logger.debug("All tree nodes collapsed on load");
-  }
-
   // =========================================================
   // Tab routing — native (no custom interception)
   // =========================================================
@@ -360,20 +870,6 @@
     logger.debug("Tab routing: native (no custom interception)");
   }
 
-  function getShipScoresText() {
-    var el = document.getElementById("shipScoresText");
-    return {
-      vesselInfoTitle: el?.getAttribute("data-vessel-info-title") || "Vessel information",
-      vesselHistoryTitle: el?.getAttribute("data-vessel-history-title") || "Inspection details",
-      cruiseLineLabel: el?.getAttribute("data-cruise-line-label") || "Cruise line",
-      vesselTypeLabel: el?.getAttribute("data-vessel-type-label") || "Vessel type",
-      vesselWeightLabel: el?.getAttribute("data-vessel-weight-label") || "Vessel weight",
-      tableCaption: el?.getAttribute("data-table-caption") || "Inspection history",
-      dateFormatHint: el?.getAttribute("data-date-format-hint") || "YYYY-MM-DD",
-      dateOfInspectionLabel: el?.getAttribute("data-date-of-inspection-label") || "Date of inspection",
-      scoreObtainedLabel: el?.getAttribute("data-score-obtained-label") || "Score obtained"
-    };
-  }
 
   // =========================================================
   // Lazy inspection history renderers
@@ -382,9 +878,10 @@
     var tbody = shipDetailsEl ? shipDetailsEl.querySelector(".ship-details__history tbody") : null;
     if (!tbody) return;
     tbody.innerHTML = "";
+    clearTrendChart(shipDetailsEl);
     var tr = document.createElement("tr");
     var td = document.createElement("td");
-    td.colSpan = 2;
+    td.colSpan = 3;
     td.textContent = isFrench() ? "Chargement..." : "Loading...";
     tr.appendChild(td);
     tbody.appendChild(tr);
@@ -394,15 +891,17 @@
     var tbody = shipDetailsEl ? shipDetailsEl.querySelector(".ship-details__history tbody") : null;
     if (!tbody) return;
     tbody.innerHTML = "";
+    clearTrendChart(shipDetailsEl);
     var tr = document.createElement("tr");
     var td = document.createElement("td");
-    td.colSpan = 2;
+    td.colSpan = 3;
     td.textContent = isFrench() ? "Aucun historique d'inspection trouvé." : "No inspection history found.";
     tr.appendChild(td);
     tbody.appendChild(tr);
   }
 
-  function renderHistoryIntoShip(shipDetailsEl, rows) {
+  // rating (optional): adds a text badge to each score and the chart's pass line
+  function renderHistoryIntoShip(shipDetailsEl, rows, rating) {
     var tbody = shipDetailsEl ? shipDetailsEl.querySelector(".ship-details__history tbody") : null;
     if (!tbody) return;
     tbody.innerHTML = "";
@@ -416,796 +915,4780 @@
       var tr = document.createElement("tr");
       var td1 = document.createElement("td");
       var td2 = document.createElement("td");
+      var td3 = document.createElement("td");
       td1.textContent = r.date;
       td2.textContent = r.score;
+      td3.textContent = r.type || "";
+
+      var band = ratingForScore(r.score, rating);
+      if (band) {
+        var badge = document.createElement("span");
+        badge.className = ratingClassName(band);
+        badge.textContent = band.label;
+        td2.appendChild(document.createTextNode(" "));
+        td2.appendChild(badge);
+      }
       tr.appendChild(td1);
       tr.appendChild(td2);
+      tr.appendChild(td3);
       tbody.appendChild(tr);
     });
+
+    renderTrendChart(shipDetailsEl, rows, rating && rating.passScore);
+  }
+
+  // Bilingual, per-kind explanation appended to the "unable to load" sentence
+  function loadErrorReason(info) {
+    var fr = isFrench();
+    switch (info && info.kind) {
+      case "offline":
+        return fr ? "Vous semblez être hors ligne. Vérifiez votre connexion, puis réessayez."
+                  : "You appear to be offline. Check your connection, then try again.";
+      case "auth":
+        return fr ? "Votre session a peut-être expiré ou l'accès est refusé. Rechargez la page, puis réessayez."
+                  : "Your session may have expired or access was denied. Reload the page, then try again.";
+      case "throttled":
+        return fr ? "Le service reçoit trop de demandes. Attendez un moment, puis réessayez."
+                  : "The service is receiving too many requests. Wait a moment, then try again.";
+      case "server":
+        return fr ? "Le service est temporairement indisponible. Veuillez réessayer."
+                  : "The service is temporarily unavailable. Please try again.";
+      default:
+        return fr ? "Veuillez réessayer plus tard." : "Please try again later.";
+    }
+  }
+
+  function retryButton(className, describedById) {
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn btn-default " + className;
+    btn.textContent = isFrench() ? "Réessayer" : "Retry";
+    if (describedById) btn.setAttribute("aria-describedby", describedById);
+    return btn;
   }
 
-  function renderHistoryErrorRow(shipDetailsEl) {
+  // onRetry (optional): renders an accessible Retry button in the row
+  // Retry re-renders the row holding its button: park focus on the history
+  // heading first (ship_hist_title_*) so it doesn't drop to <body>
+  function focusHistoryHeading(shipDetailsEl) {
+    if (!shipDetailsEl) return;
+    var section = shipDetailsEl.querySelector('section[data-ship-focus="history"]');
+    var id = section ? section.getAttribute("aria-labelledby") : "";
+    var heading = (id && document.getElementById(id)) || shipDetailsEl.querySelector(".ship-details__title");
+    if (!heading) return;
+    if (!heading.hasAttribute("tabindex")) heading.setAttribute("tabindex", "-1");
+    try { heading.focus(); } catch (e) {}
+  }
+
+  function renderHistoryErrorRow(shipDetailsEl, info, onRetry) {
     var tbody = shipDetailsEl ? shipDetailsEl.querySelector(".ship-details__history tbody") : null;
     if (!tbody) return;
     tbody.innerHTML = "";
+    clearTrendChart(shipDetailsEl);
     var tr = document.createElement("tr");
     var td = document.createElement("td");
-    td.colSpan = 2;
-    td.textContent = isFrench()
-      ? "Impossible de charger l'historique d'inspection."
-      : "Unable to load inspection history.";
+    td.colSpan = 3;
+
+    var msg = document.createElement("p");
+    msg.className = "ship-details__error text-danger";
+    msg.id = safeId("shipHistoryError");
+    msg.textContent = (isFrench()
+      ? "Impossible de charger l'historique d'inspection. "
+      : "Unable to load inspection history. ") + loadErrorReason(info);
+    td.appendChild(msg);
+
+    if (typeof onRetry === "function") {
+      var btn = retryButton("ship-details__retry", msg.id);
+      btn.addEventListener("click", function () {
+        focusHistoryHeading(shipDetailsEl);
+        onRetry(btn);
+      });
+      td.appendChild(btn);
+    }
+
     tr.appendChild(td);
     tbody.appendChild(tr);
   }
 
   // =========================================================
-  // Inspection history: lazy-load per vessel
+  // Score trend chart (inline SVG, no charting library)
+  //
+  // Drawn above the history table when a vessel has 2+ scored inspections.
+  // The SVG is aria-hidden: the figcaption summary plus the table remain the
+  // accessible equivalent.
   // =========================================================
-  function buildIncidentsUrlForVessel(vesselId, useGuidLiteral) {
-    var idExpr = useGuidLiteral ? odataGuidLiteral(vesselId) : normalizeGuid(vesselId);
-    // Ensure raw GUID string (strip guid'...' wrapper if present)
-    idExpr = idExpr.replace(/^guid'?/i, "").replace(/'/g, "");
-
-    var filter =
-      "(" +
-        "ethi_finalreportcreated ne null" +
-        " and statecode eq 0" +
-        " and statuscode ne 6" +
-        " and ethi_establishmenttype eq 992800002" +
-        " and _ethi_conveyance_value ne null" +
-        " and ethi_inspectionscope eq 786080000" +
-        " and (" +
-               "_ethi_rbiinspectiontype_value eq 05aea5d2-11eb-ef11-9342-0022486e14f0" +
-               " or _ethi_rbiinspectiontype_value eq 4c5048c5-11eb-ef11-9342-0022486e14f0" +
-              ")" +
-        " and (_ethi_conveyance_value eq " + idExpr + ")" +
-      ")";
-
-    return "/_api/incidents" +
-      "?$select=_ethi_conveyance_value,ethi_inspectionenddateandtime,ethi_inspectionscore,statecode,statuscode" +
-      "&$filter=" + encodeURIComponent(filter) +
-      "&$orderby=" + encodeURIComponent("ethi_inspectionenddateandtime desc") +
-      "&$top=1000";
-  }
-
-  function fetchIncidentsWithFallback(vesselId) {
-    // Try 1: guid'...'
-    var url1 = buildIncidentsUrlForVessel(vesselId, true);
-    logger.debug("Inspection lazy-load: GET (guid literal)", { vesselId: vesselId });
-
-    return doOdataGet(url1).catch(function (err1) {
-      var st = err1 && err1.status;
-      if (st === 400) {
-        var url2 = buildIncidentsUrlForVessel(vesselId, false);
-        logger.debug("Inspection lazy-load: RETRY (raw guid) after 400", { vesselId: vesselId });
-        return doOdataGet(url2);
-      }
-      throw err1;
-    });
+  var SVG_NS = "http://www.w3.org/2000/svg";
+  var TREND_W = 320;
+  var TREND_H = 120;
+  var TREND_PAD = { top: 10, right: 12, bottom: 22, left: 30 };
+
+  function svgEl(name, attrs) {
+    var el = document.createElementNS(SVG_NS, name);
+    Object.keys(attrs || {}).forEach(function (k) { el.setAttribute(k, String(attrs[k])); });
+    return el;
   }
 
-  function loadInspectionHistoryForVessel(vesselIdRaw) {
-    var vesselId = normalizeGuid(vesselIdRaw);
-    if (!vesselId) return Promise.resolve({ rows: [] });
+  // History rows (newest first, "97/100") -> [{ date, ms, score }] oldest first
+  function trendPoints(rows) {
+    return (rows || [])
+      .map(function (r) {
+        return { date: r.date, ms: Date.parse(r.date), score: parseFloat(r.score) };
+      })
+      .filter(function (p) { return !isNaN(p.ms) && isFinite(p.score); })
+      .sort(function (a, b) { return a.ms - b.ms; });
+  }
 
-    var c = __InspectionCache[vesselId];
-    if (c && c.loaded) return Promise.resolve({ rows: c.rows || [] });
-    if (c && c.loading && c.promise) return c.promise;
+  function trendSummaryText(points, passScore) {
+    var fr = isFrench();
+    var first = points[0].score;
+    var last = points[points.length - 1].score;
+    var n = points.length;
+    var text;
+
+    if (last > first) {
+      text = fr ? "La note est passée de " + first + " à " + last + " en " + n + " inspections"
+                : "Score rose from " + first + " to " + last + " over " + n + " inspections";
+    } else if (last < first) {
+      text = fr ? "La note est descendue de " + first + " à " + last + " en " + n + " inspections"
+                : "Score fell from " + first + " to " + last + " over " + n + " inspections";
+    } else {
+      text = fr ? "La note est restée à " + last + " en " + n + " inspections"
+                : "Score stayed at " + last + " over " + n + " inspections";
+    }
 
-    var p = fetchIncidentsWithFallback(vesselId)
-      .then(function (dataOrRows) {
-        var rows = odataToArray(dataOrRows);
-        logger.debug("Inspection lazy-load rows (raw)", { vesselId: vesselId, count: rows.length });
+    text += " (" + points[0].date + (fr ? " au " : " to ") + points[n - 1].date + "). ";
+    text += (fr ? "Note de passage : " : "Passing score: ") + passScore + ".";
+    return text;
+  }
 
-        var outRows = [];
-        rows.forEach(function (r) {
-          var iso = r ? r.ethi_inspectionenddateandtime : null;
-          if (!iso) return;
-          if (!isWithinLastYears(iso, 5)) return;
+  function clearTrendChart(shipDetailsEl) {
+    var old = shipDetailsEl ? shipDetailsEl.querySelector(".ship-details__trend") : null;
+    if (old) old.parentNode.removeChild(old);
+  }
 
-          outRows.push({
-            date: dateOnly(iso),
-            score: formatScore(r.ethi_inspectionscore)
-          });
-        });
+  // passScore (optional): threshold line; DEFAULT_PASS_SCORE otherwise
+  function renderTrendChart(shipDetailsEl, rows, passScore) {
+    clearTrendChart(shipDetailsEl);
+    var table = shipDetailsEl ? shipDetailsEl.querySelector(".ship-details__history table") : null;
+    var points = trendPoints(rows);
+    if (!table || points.length < 2) return;
+
+    var pass = isFinite(passScore) ? Number(passScore) : DEFAULT_PASS_SCORE;
+    var plotW = TREND_W - TREND_PAD.left - TREND_PAD.right;
+    var plotH = TREND_H - TREND_PAD.top - TREND_PAD.bottom;
+
+    // Y: from just below the lowest score (or the pass line) up to 100
+    var low = Math.min(pass, points.reduce(function (m, p) { return Math.min(m, p.score); }, 100));
+    var yMin = Math.max(0, Math.floor((low - 5) / 10) * 10);
+    var t0 = points[0].ms;
+    var span = Math.max(points[points.length - 1].ms - t0, 1);
+
+    function x(p) { return Math.round((TREND_PAD.left + ((p.ms - t0) / span) * plotW) * 10) / 10; }
+    function y(score) { return Math.round((TREND_PAD.top + (1 - (score - yMin) / (100 - yMin)) * plotH) * 10) / 10; }
+
+    var svg = svgEl("svg", {
+      "class": "ship-details__trend-svg",
+      viewBox: "0 0 " + TREND_W + " " + TREND_H,
+      role: "presentation",
+      "aria-hidden": "true",
+      focusable: "false"
+    });
 
-        outRows.sort(function (a, b) {
-          return (a.date < b.date) ? 1 : (a.date > b.date ? -1 : 0);
-        });
+    svg.appendChild(svgEl("line", {
+      "class": "ship-details__trend-axis",
+      x1: TREND_PAD.left, y1: TREND_PAD.top, x2: TREND_PAD.left, y2: TREND_PAD.top + plotH
+    }));
+    svg.appendChild(svgEl("line", {
+      "class": "ship-details__trend-axis",
+      x1: TREND_PAD.left, y1: TREND_PAD.top + plotH, x2: TREND_PAD.left + plotW, y2: TREND_PAD.top + plotH
+    }));
+
+    [yMin, 100].forEach(function (v) {
+      var t = svgEl("text", { "class": "ship-details__trend-tick", x: TREND_PAD.left - 4, y: y(v) + 4, "text-anchor": "end" });
+      t.textContent = String(v);
+      svg.appendChild(t);
+    });
 
-        __InspectionCache[vesselId] = { loaded: true, loading: false, rows: outRows };
-        return { rows: outRows };
-      })
-      .catch(function (err) {
-        try {
-          if (err && err.status) {
-            logger.error("Inspection lazy-load failed", {
-              vesselId: vesselId, status: err.status, statusText: err.statusText
-            });
-          } else {
-            logger.error("Inspection lazy-load failed", { vesselId: vesselId, error: err });
-          }
-        } catch (e) {}
+    // Pass threshold: dashed line + label so it does not rely on colour
+    svg.appendChild(svgEl("line", {
+      "class": "ship-details__trend-pass",
+      x1: TREND_PAD.left, y1: y(pass), x2: TREND_PAD.left + plotW, y2: y(pass)
+    }));
+    var passLabel = svgEl("text", {
+      "class": "ship-details__trend-tick",
+      x: TREND_PAD.left + plotW, y: y(pass) - 3, "text-anchor": "end"
+    });
+    passLabel.textContent = (isFrench() ? "Passage " : "Pass ") + pass;
+    svg.appendChild(passLabel);
+
+    svg.appendChild(svgEl("polyline", {
+      "class": "ship-details__trend-line",
+      points: points.map(function (p) { return x(p) + "," + y(p.score); }).join(" ")
+    }));
+    points.forEach(function (p) {
+      svg.appendChild(svgEl("circle", { "class": "ship-details__trend-point", cx: x(p), cy: y(p.score), r: 3 }));
+    });
 
-        // Do NOT mark as loaded on error — allows retry on next expand
-        __InspectionCache[vesselId] = { loaded: false, loading: false, rows: [] };
-        return { rows: [], error: true };
+    [points[0], points[points.length - 1]].forEach(function (p, i) {
+      var t = svgEl("text", {
+        "class": "ship-details__trend-tick",
+        x: x(p), y: TREND_H - 6, "text-anchor": i ? "end" : "start"
       });
+      t.textContent = p.date.slice(0, 7);
+      svg.appendChild(t);
+    });
+
+    var fig = document.createElement("figure");
+    fig.className = "ship-details__trend";
+    var cap = document.createElement("figcaption");
+    cap.className = "ship-details__trend-summary";
+    cap.textContent = trendSummaryText(points, pass);
+    fig.appendChild(svg);
+    fig.appendChild(cap);
 
-    __InspectionCache[vesselId] = { loaded: false, loading: true, rows: [], promise: p };
-    return p;
+    table.parentNode.insertBefore(fig, table);
   }
 
   // =========================================================
-  // Setup ships & liners (idempotent: mark nodes bound)
+  // Fixture data source (no tenant needed; see "Data sources" below)
+  //
+  // Shared by all instances and public as ShipScores.createFixtureDataSource.
+  //
+  // { "vessels": [ { "vesselId", "name", "ownerId", "ownerName", "weight",
+  //                  "inspections": [ { "date", "score", "type", "typeId"? } ] } ]
   // =========================================================
-  function setupShips() {
-    qsa(document, "details.browse-tree__ship").forEach(function (ship) {
-      if (ship.getAttribute("data-ship-bound") === "1") return;
-      ship.setAttribute("data-ship-bound", "1");
-
-      var sum = getSummary(ship);
-      var shipLabel = textOf(sum) || "(ship)";
-
-      ensureRegionSemantics(ship);
-      setRegionsTabbable(ship, ship.open);
+  var DEFAULT_FIXTURE_URL = "/shipScoresFixture.json";
+  var FIXTURE_ERROR_STATUS = { offline: 0, auth: 401, throttled: 429, server: 503 };
+
+  // "vessels:server, history:throttled:0.3:5" -> [{ target, kind, rate, retryAfter }]
+  // target: vessels | history | recent | all; rate: probability (default 1);
+  // retryAfter: Retry-After header in seconds (default 1 for throttled, else none)
+  function parseFixtureErrors(spec) {
+    return String(spec || "").split(",").map(function (part) {
+      var bits = part.trim().toLowerCase().split(":");
+      if (bits.length < 2 || !(bits[1] in FIXTURE_ERROR_STATUS)) return null;
+      var rate = bits.length > 2 && bits[2] !== "" ? parseFloat(bits[2]) : 1;
+      var retryAfter = bits.length > 3 ? parseFloat(bits[3]) : NaN;
+      return {
+        target: bits[0],
+        kind: bits[1],
+        rate: isFinite(rate) ? rate : 1,
+        retryAfter: (isFinite(retryAfter) && retryAfter >= 0) ? retryAfter : (bits[1] === "throttled" ? 1 : null)
+      };
+    }).filter(Boolean);
+  }
 
-      ship.addEventListener("toggle", function () {
-        logger.debug("TOGGLE ship", { ship: shipLabel, open: ship.open });
-        ensureRegionSemantics(ship);
+  // XHR-like rejection, so errorStatus / retryAfterMs read it like a real one
+  function simulatedXhrError(rule) {
+    var retryAfter = (rule.retryAfter === null || rule.retryAfter === undefined) ? null : String(rule.retryAfter);
+    return {
+      status: FIXTURE_ERROR_STATUS[rule.kind],
+      statusText: "Simulated " + rule.kind + " error (fixture)",
+      getResponseHeader: function (name) {
+        return String(name).toLowerCase() === "retry-after" ? retryAfter : null;
+      }
+    };
+  }
 
-        if (!ship.open) {
-          setRegionsTabbable(ship, false);
-          return;
-        }
+  function simulatedFixtureError(rules, target) {
+    for (var i = 0; i < rules.length; i++) {
+      var rule = rules[i];
+      if (rule.target !== target && rule.target !== "all") continue;
+      if (Math.random() >= rule.rate) continue;
+      return simulatedXhrError(rule);
+    }
+    return null;
+  }
 
-        setRegionsTabbable(ship, true);
+  // A fixture decides which scores the page shows: same-origin files only
+  function isSameOriginUrl(url) {
+    try {
+      return new URL(url, window.location.href).origin === window.location.origin;
+    } catch (e) {
+      return false;
+    }
+  }
 
-        var vesselId = ship.getAttribute("data-vessel-id") || "";
-        var detailsWrap = ship.querySelector(":scope > .ship-details") || ship.querySelector(".ship-details");
+  function fetchFixtureJson(url) {
+    if (!isSameOriginUrl(url)) {
+      logger.error("Fixture URL rejected: not same-origin", { url: String(url) });
+      return Promise.reject({ status: 400, statusText: "Fixture URL must be same-origin" });
+    }
+    return window.fetch(url, { credentials: "same-origin" }).then(function (res) {
+      if (!res.ok) throw { status: res.status, statusText: res.statusText };
+      return res.json();
+    });
+  }
 
-        renderLoadingRow(detailsWrap);
+  // [{ date, score }] -> { latestDate, latestScore, inspectionCount } (date = ISO)
+  function summarizeInspections(list) {
+    var out = { latestDate: "", latestScore: null, inspectionCount: 0 };
+    (list || []).forEach(function (i) {
+      if (!i || !i.date) return;
+      out.inspectionCount++;
+      if (String(i.date) <= out.latestDate) return;
+      out.latestDate = String(i.date);
+      var n = Number(i.score);
+      out.latestScore = (i.score === null || i.score === undefined || i.score === "" || !isFinite(n)) ? null : n;
+    });
+    return out;
+  }
 
-        loadInspectionHistoryForVessel(vesselId).then(function (r) {
-          if (r && r.error) {
-            renderHistoryErrorRow(detailsWrap);
-            logger.warn("Inspection history error rendered", { ship: shipLabel, vesselId: normalizeGuid(vesselId) });
-            focusShipContent(detailsWrap, shipLabel);
-            return;
-          }
+  function fixtureInspectionDates(v, years) {
+    return (v && Array.isArray(v.inspections) ? v.inspections : []).filter(function (i) {
+      return i && i.date && (!(years > 0) || isWithinLastYears(i.date, years));
+    });
+  }
 
-          renderHistoryIntoShip(detailsWrap, (r && r.rows) ? r.rows : []);
-          logger.debug("Inspection history rendered", {
-            ship: shipLabel,
-            vesselId: normalizeGuid(vesselId),
-            rows: (r && r.rows) ? r.rows.length : 0
+  // options: { data?, url?, latencyMs?, errors? (string spec or parsed rules) }
+  function createFixtureDataSource(options) {
+    var o = options || {};
+    var latencyMs = Math.max(0, Number(o.latencyMs) || 0);
+    var rules = Array.isArray(o.errors) ? o.errors : parseFixtureErrors(o.errors);
+    var fixture = null;
+
+    function vessels() {
+      if (!fixture) {
+        fixture = (o.data ? Promise.resolve(o.data) : fetchFixtureJson(o.url || DEFAULT_FIXTURE_URL))
+          .then(function (d) { return (d && Array.isArray(d.vessels)) ? d.vessels : []; })
+          .catch(function (err) {
+            fixture = null;
+            throw err;
           });
+      }
+      return fixture;
+    }
 
-          focusShipContent(detailsWrap, shipLabel);
-        });
-      });
-
-      if (sum) {
-        sum.addEventListener("focus", function () {
-          logger.debug("FOCUS ship summary", { ship: shipLabel, open: ship.open });
-        });
+    function findVessel(list, vesselId) {
+      var key = normalizeGuid(vesselId).toLowerCase();
+      for (var i = 0; i < list.length; i++) {
+        if (normalizeGuid(list[i] && list[i].vesselId).toLowerCase() === key) return list[i];
       }
-    });
+      return null;
+    }
 
-    logger.debug("Ships initialized", { count: qsa(document, "details.browse-tree__ship").length });
-  }
+    function historyOf(v) {
+      return fixtureInspectionDates(v, 0).map(function (i) {
+        return { date: i.date, score: i.score, type: i.type || "", typeId: i.typeId || "" };
+      });
+    }
 
-  function setupLiners() {
-    qsa(document, "details.browse-tree__liner").forEach(function (liner) {
-      if (liner.getAttribute("data-liner-bound") === "1") return;
-      liner.setAttribute("data-liner-bound", "1");
+    // Resolves after the simulated latency, or rejects with an XHR-like error.
+    // Each attempt goes through withLoadRetry like a Dataverse call, so
+    // simulated transient errors are retried, backed off and classified.
+    function respond(target, produce) {
+      return withLoadRetry(function () {
+        return new Promise(function (resolve) {
+          setTimeout(resolve, latencyMs);
+        }).then(function () {
+          var err = simulatedFixtureError(rules, target);
+          if (err) {
+            logger.warn("Fixture data source: simulated error", { target: target, status: err.status });
+            throw err;
+          }
+          return vessels().then(produce);
+        });
+      }, "fixture " + target);
+    }
 
-      var sum = getSummary(liner);
-      var linerLabel = textOf(sum) || "(liner)";
+    return {
+      name: "fixture",
+      cacheable: false,
+
+      listVessels: function (opts) {
+        var years = opts && opts.years;
+        return respond("vessels", function (list) {
+          return list.filter(function (v) {
+            return fixtureInspectionDates(v, years).length > 0;
+          }).map(function (v) {
+            var latest = summarizeInspections(fixtureInspectionDates(v, years));
+            return {
+              vesselId: normalizeGuid(v.vesselId),
+              name: String(v.name || "").trim(),
+              ownerId: normalizeGuid(v.ownerId),
+              ownerName: String(v.ownerName || "").trim(),
+              weight: (v.weight === null || v.weight === undefined) ? "" : String(v.weight),
+              latestDate: latest.latestDate,
+              latestScore: latest.latestScore,
+              inspectionCount: latest.inspectionCount
+            };
+          });
+        });
+      },
 
-      liner.addEventListener("toggle", function () {
-        logger.debug("TOGGLE liner", { liner: linerLabel, open: liner.open });
+      getVesselHistory: function (vesselId) {
+        return respond("history", function (list) {
+          return historyOf(findVessel(list, vesselId));
+        });
+      },
 
-        if (!liner.open) {
-          qsa(liner, "details.browse-tree__ship").forEach(function (ship) {
-            ship.open = false;
-            setRegionsTabbable(ship, false);
+      getVesselHistories: function (vesselIds) {
+        return respond("history", function (list) {
+          var byId = Object.create(null);
+          vesselIds.forEach(function (id) {
+            byId[normalizeGuid(id).toLowerCase()] = historyOf(findVessel(list, id));
           });
-        }
-      });
-    });
-
-    logger.debug("Liners initialized", { count: qsa(document, "details.browse-tree__liner").length });
+          return byId;
+        });
+      },
+
+      listRecentInspections: function (opts) {
+        var years = opts && opts.years;
+        var top = (opts && opts.top) || 10;
+        return respond("recent", function (list) {
+          var all = [];
+          list.forEach(function (v) {
+            fixtureInspectionDates(v, years).forEach(function (i) {
+              all.push({
+                vesselId: normalizeGuid(v.vesselId), date: i.date, score: i.score,
+                type: i.type || "", typeId: i.typeId || ""
+              });
+            });
+          });
+          return all.sort(function (a, b) { return Date.parse(b.date) - Date.parse(a.date); }).slice(0, top);
+        });
+      }
+    };
   }
 
   // =========================================================
-  // Search (snippet-driven status strings)
+  // Debug focus logs
   // =========================================================
-  function setupSearch() {
-    var input = document.getElementById("linerSearch");
-    var status = document.getElementById("linerSearchStatus");
-    var tree = document.getElementById("browseTree");
+  function setupDebug() {
+    if (!DBG) return;
 
-    if (!input || !status || !tree) {
-      logger.warn("Search not initialized: missing elements", {
-        hasInput: !!input, hasStatus: !!status, hasTree: !!tree
-      });
-      return;
-    }
+    document.addEventListener("focusin", function (e) {
+      var t = e.target;
+      if (!t || !t.matches) return;
 
-    // H3: Enforce aria-live="polite" on search status for screen readers
-    if (!status.hasAttribute("aria-live")) {
-      status.setAttribute("aria-live", "polite");
-    }
-    if (!status.hasAttribute("aria-atomic")) {
-      status.setAttribute("aria-atomic", "true");
+      if (t.matches("summary.browse-tree__summary")) {
+        logger.debug("FOCUSIN -> SUMMARY", { text: textOf(t) });
+        return;
+      }
+      if (t.matches('[data-ship-focus="info"]')) {
+        logger.debug("FOCUSIN -> INFO", {
+          name: t.getAttribute("aria-label") || t.getAttribute("aria-labelledby"),
+          visible: isVisible(t)
+        });
+        return;
+      }
+      if (t.matches('[data-ship-focus="history"]')) {
+        logger.debug("FOCUSIN -> HISTORY", {
+          name: t.getAttribute("aria-label") || t.getAttribute("aria-labelledby"),
+          visible: isVisible(t)
+        });
+        return;
+      }
+      if (t.matches("#linerSearch")) {
+        logger.debug("FOCUSIN -> SEARCH");
+      }
+    });
+
+    document.addEventListener("keydown", function (e) {
+      if (e.key === "Tab") logger.debug("TAB key", { shift: e.shiftKey });
+    });
+
+    logger.debug("Debug listeners enabled");
+  }
+
+  // =========================================================
+  // Instance factory
+  //
+  // Everything below keeps its state in this closure, so several trees
+  // (e.g. the main browser plus a single-line embed) can share a page.
+  //
+  // options:
+  //   root          tree container (element, id or selector) — required
+  //   searchInput   search <input>; optional (no search, period or facet without it)
+  //   status        live status element; optional
+  //   texts         element carrying data-* strings/config (like #shipScoresText),
+  //                 or a plain object of label overrides (getShipScoresText keys)
+  //   headingLevel  liner heading level (default 2); ships use one level lower
+  //   dataSource    data source object (see "Data sources")
+  //   lineId        owner account id: show that cruise line only
+  //   deepLinks     sync ?q / ?line / ?vessel (default: auto-init instance only)
+  //   treeKeyboard  arrow-key treeview navigation (also data-tree-keyboard="on" on root)
+  // =========================================================
+  function resolveElement(ref) {
+    if (!ref) return null;
+    if (ref.nodeType === 1) return ref;
+    var s = String(ref);
+    return document.getElementById(s) || (function () {
+      try { return document.querySelector(s); } catch (e) { return null; }
+    })();
+  }
+
+  function createShipScores(options) {
+    var o = options || {};
+    var els = {
+      tree: resolveElement(o.root),
+      search: resolveElement(o.searchInput),
+      status: resolveElement(o.status),
+      texts: (o.texts && typeof o.texts === "object" && o.texts.nodeType !== 1) ? null : resolveElement(o.texts)
+    };
+    var textOverrides = (o.texts && typeof o.texts === "object" && o.texts.nodeType !== 1) ? o.texts : null;
+
+    var lvl = parseInt(o.headingLevel, 10);
+    var HEADING_LEVEL = (lvl >= 1 && lvl <= 4) ? lvl : 2;
+    var LINE_FILTER = normalizeGuid(o.lineId).toLowerCase();
+    var DEEP_LINKS = !!o.deepLinks;
+
+    // The deep-linked page tree keeps the historical ids (linerPeriod, vessel_<guid>, ...);
+    // other instances get a suffix so ids stay unique on the page
+    var ID_SUFFIX = DEEP_LINKS ? "" : "_ss" + (++__instanceSeq);
+    function domId(base) { return base + ID_SUFFIX; }
+
+    // Listeners outside freshly rendered nodes, removed by destroy()
+    var __listeners = [];
+    var __destroyed = false;
+    function listen(target, type, fn, capture) {
+      target.addEventListener(type, fn, !!capture);
+      __listeners.push([target, type, fn, !!capture]);
+    }
+
+    // Tracks whether the data source returned any data at all (system-empty vs search-no-match)
+    var __ShipScoresData = {
+      loaded: false,
+      totalLiners: 0,
+      totalShips: 0
+    };
+
+    // Resolved lazily from data-lookback-years on the texts element / tree root
+    var __LookbackYears = null;
+
+    // Lazy inspection cache:
+    // vesselId -> { loaded:boolean, loading:boolean, rows:[{date,score,type}], promise:Promise, batch?:job }
+    var __InspectionCache = Object.create(null);
+
+    // Set by setupSearch (null when the instance has no search input)
+    var __search = null;
+
+    function reapplyFilter() {
+      if (__search) __search.applyFilter(els.search ? els.search.value : "");
+    }
+
+    // =========================================================
+    // Summaries tabbable
+    // =========================================================
+    function ensureSummariesTabbable() {
+      qsa(els.tree, "details.browse-tree__liner, details.browse-tree__ship").forEach(function (d) {
+        var s = getSummary(d);
+        if (!s) return;
+
+        if (!s.hasAttribute("tabindex")) s.setAttribute("tabindex", "0");
+        // 2026-02-25: Do NOT add role="button" — native <summary> already has
+        // disclosure semantics. Adding role="button" forces NVDA into focus mode.
+        if (s.getAttribute("role") === "button") s.removeAttribute("role");
+      });
+
+      if (__treeKeys) resetRovingTabStop();
+      logger.debug("Summaries ensured tabbable");
+    }
+
+    // =========================================================
+    // Initial collapse
+    // =========================================================
+    function collapseAllOnLoad() {
+      qsa(els.tree, "details.browse-tree__liner, details.browse-tree__ship").forEach(function (d) {
+        d.open = false;
+      });
+      qsa(els.tree, "details.browse-tree__ship").forEach(function (ship) {
+        setRegionsTabbable(ship, false);
+      });
+      logger.debug("All tree nodes collapsed on load");
+    }
+
+    // =========================================================
+    // Treeview keyboard mode (opt-in; APG tree keys on the native nodes)
+    //
+    // Roving tabindex over the liner / ship summaries: one Tab stop for the
+    // whole tree, Up/Down between visible nodes, Right/Left to expand, collapse
+    // or go to the parent, Home/End, and type-ahead on the label.
+    //
+    // Deliberately NO role="tree"/"treeitem" (or "button") on the summaries:
+    // those make NVDA switch to focus mode (see ensureSummariesTabbable).
+    // The <details>/<summary> disclosures keep their native semantics and the
+    // keys only act while a summary has focus; expanding still goes through
+    // the toggle handlers, so the history lazy-load is unchanged.
+    // =========================================================
+    var TREE_HINT_ID = domId("browseTreeKeysHint");
+    var TYPEAHEAD_RESET_MS = 500;
+    var __treeKeys = false;
+    var __treeKeysBound = false;
+    var __typeahead = { text: "", timer: null };
+
+    function treeKeysRequested() {
+      if (o.treeKeyboard !== undefined) return !!o.treeKeyboard;
+      var attr = els.tree ? (els.tree.getAttribute("data-tree-keyboard") || "").toLowerCase() : "";
+      return attr === "on" || attr === "1" || attr === "true";
+    }
+
+    // Liners (filtered in) and the ships of open liners, in DOM order
+    function visibleTreeNodes() {
+      var out = [];
+      qsa(els.tree, "details.browse-tree__liner").forEach(function (liner) {
+        if (liner.style.display === "none") return;
+        out.push(liner);
+        if (!liner.open) return;
+        qsa(liner, "details.browse-tree__ship").forEach(function (ship) {
+          if (ship.style.display !== "none") out.push(ship);
+        });
+      });
+      return out;
+    }
+
+    function treeNodeOf(summaryEl) {
+      var d = summaryEl && summaryEl.parentNode;
+      return d && d.matches && d.matches("details.browse-tree__liner, details.browse-tree__ship") &&
+        getSummary(d) === summaryEl ? d : null;
+    }
+
+    function currentTabStop() {
+      return qs(els.tree, 'summary.browse-tree__summary[tabindex="0"]');
+    }
+
+    // Makes node the tree's only Tab stop; focus: move focus there too
+    function setTabStop(node, focus) {
+      var sum = getSummary(node);
+      if (!sum) return;
+      qsa(els.tree, "summary.browse-tree__summary").forEach(function (s) {
+        if (s !== sum) {
+          s.setAttribute("tabindex", "-1");
+          s.removeAttribute("aria-describedby");
+        }
+      });
+      sum.setAttribute("tabindex", "0");
+      if (focus) {
+        try { sum.focus(); } catch (e) {}
+      }
+    }
+
+    // Keeps a visible Tab stop after re-renders, filtering or collapsing
+    function resetRovingTabStop() {
+      var nodes = visibleTreeNodes();
+      if (!nodes.length) return;
+      var stop = currentTabStop();
+      var node = stop ? treeNodeOf(stop) : null;
+      if (!node || nodes.indexOf(node) === -1) {
+        // Collapsed parent: fall back to the liner, else the first node
+        var liner = node ? node.closest("details.browse-tree__liner") : null;
+        node = liner && nodes.indexOf(liner) !== -1 ? liner : nodes[0];
+      }
+      setTabStop(node, false);
+      var sum = getSummary(node);
+      if (sum && document.activeElement !== sum) sum.setAttribute("aria-describedby", TREE_HINT_ID);
+    }
+
+    // Expands without the ship handler pulling focus into the content
+    function expandTreeNode(node) {
+      if (node.open) return;
+      if (node.classList.contains("browse-tree__ship")) node.setAttribute("data-suppress-focus", "1");
+      node.open = true;
+    }
+
+    function typeaheadMatch(nodes, from, ch) {
+      // Punctuation folds away; an empty prefix would match the next node
+      if (!foldSearchText(ch).text) return null;
+
+      clearTimeout(__typeahead.timer);
+      __typeahead.text += ch;
+      __typeahead.timer = setTimeout(function () { __typeahead.text = ""; }, TYPEAHEAD_RESET_MS);
+
+      var prefix = foldSearchText(__typeahead.text).text;
+      // Same letter repeated cycles through nodes starting with it
+      var single = prefix.split("").every(function (c) { return c === prefix.charAt(0); });
+      var start = (__typeahead.text.length === 1 || single) ? from + 1 : from;
+      if (single) prefix = prefix.charAt(0);
+
+      for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[(start + i) % nodes.length];
+        if (foldSearchText(summaryLabelText(getSummary(node))).text.indexOf(prefix) === 0) return node;
+      }
+      return null;
+    }
+
+    function onTreeKeydown(e) {
+      if (!__treeKeys || e.ctrlKey || e.metaKey) return;
+      var node = treeNodeOf(e.target);
+      if (!node) return;
+
+      var nodes = visibleTreeNodes();
+      var i = nodes.indexOf(node);
+      var isShip = node.classList.contains("browse-tree__ship");
+      var target = null;
+
+      switch (e.key) {
+        case "ArrowDown":
+          target = nodes[i + 1] || null;
+          break;
+        case "ArrowUp":
+          target = i > 0 ? nodes[i - 1] : null;
+          break;
+        case "ArrowRight":
+          if (!node.open) expandTreeNode(node);
+          else if (!isShip) target = qsa(node, "details.browse-tree__ship").filter(function (s) {
+            return s.style.display !== "none";
+          })[0] || null;
+          break;
+        case "ArrowLeft":
+          if (node.open) {
+            node.open = false;
+            if (isShip) setRegionsTabbable(node, false);
+          } else if (isShip) {
+            target = node.closest("details.browse-tree__liner");
+          }
+          break;
+        case "Home":
+          target = nodes[0];
+          break;
+        case "End":
+          target = nodes[nodes.length - 1];
+          break;
+        default:
+          if (e.key.length !== 1 || e.altKey || e.key === " ") return;
+          target = typeaheadMatch(nodes, i, e.key);
+          if (!target) return;
+      }
+
+      e.preventDefault();
+      if (target && target !== node) setTabStop(target, true);
+    }
+
+    function setTreeKeyboard(on) {
+      var tree = els.tree;
+      __treeKeys = !!on;
+
+      var hint = document.getElementById(TREE_HINT_ID);
+      if (__treeKeys && !hint) {
+        hint = document.createElement("p");
+        hint.id = TREE_HINT_ID;
+        hint.className = "wb-inv";
+        hint.textContent = getShipScoresText().treeKeyboardHint;
+        tree.parentNode.insertBefore(hint, tree);
+      }
+
+      if (__treeKeys && !__treeKeysBound) {
+        __treeKeysBound = true;
+        listen(tree, "keydown", onTreeKeydown);
+        // Clicks / programmatic focus move the Tab stop along
+        listen(tree, "focusin", function (e) {
+          if (!__treeKeys) return;
+          var node = treeNodeOf(e.target);
+          if (node) setTabStop(node, false);
+        });
+        // toggle doesn't bubble; a collapsed liner must not keep a hidden Tab stop
+        listen(tree, "toggle", function () {
+          if (__treeKeys) resetRovingTabStop();
+        }, true);
+      }
+
+      if (__treeKeys) {
+        resetRovingTabStop();
+      } else {
+        if (hint && hint.parentNode) hint.parentNode.removeChild(hint);
+        qsa(tree, "summary.browse-tree__summary").forEach(function (s) {
+          s.setAttribute("tabindex", "0");
+          s.removeAttribute("aria-describedby");
+        });
+      }
+      logger.info("Treeview keyboard mode " + (__treeKeys ? "on" : "off"));
+    }
+
+    function getShipScoresText() {
+      var el = els.texts;
+      var ui = {
+        vesselInfoTitle: el?.getAttribute("data-vessel-info-title") || "Vessel information",
+        vesselHistoryTitle: el?.getAttribute("data-vessel-history-title") || "Inspection details",
+        cruiseLineLabel: el?.getAttribute("data-cruise-line-label") ||
+          (isFrench() ? "Compagnie de croisière" : "Cruise line"),
+        vesselTypeLabel: el?.getAttribute("data-vessel-type-label") || "Vessel type",
+        vesselWeightLabel: el?.getAttribute("data-vessel-weight-label") ||
+          (isFrench() ? "Poids du navire" : "Vessel weight"),
+        tableCaption: el?.getAttribute("data-table-caption") || "Inspection history",
+        dateFormatHint: el?.getAttribute("data-date-format-hint") ||
+          (isFrench() ? "AAAA-MM-JJ" : "YYYY-MM-DD"),
+        dateOfInspectionLabel: el?.getAttribute("data-date-of-inspection-label") ||
+          (isFrench() ? "Date de l'inspection" : "Date of inspection"),
+        scoreObtainedLabel: el?.getAttribute("data-score-obtained-label") ||
+          (isFrench() ? "Note obtenue" : "Score obtained"),
+        inspectionTypeLabel: el?.getAttribute("data-inspection-type-label") ||
+          (isFrench() ? "Type d'inspection" : "Inspection type"),
+        // Names for the configured inspectionTypeIds, in the same order
+        routineAnnouncedLabel: el?.getAttribute("data-routine-announced-label") ||
+          (isFrench() ? "Routine - annoncée" : "Routine - Announced"),
+        routineUnannouncedLabel: el?.getAttribute("data-routine-unannounced-label") ||
+          (isFrench() ? "Routine - non annoncée" : "Routine - Unannounced"),
+        periodLabel: el?.getAttribute("data-period-label") ||
+          (isFrench() ? "Période d'inspection" : "Inspection period"),
+        // {{years}} is replaced with the number of years
+        periodYearsTemplate: el?.getAttribute("data-period-years-template") ||
+          (isFrench() ? "{{years}} dernières années" : "Last {{years}} years"),
+        periodOneYear: el?.getAttribute("data-period-one-year") ||
+          (isFrench() ? "Dernière année" : "Last year"),
+        periodAll: el?.getAttribute("data-period-all") ||
+          (isFrench() ? "Toutes les inspections disponibles" : "All available inspections"),
+        sortLabel: el?.getAttribute("data-sort-label") ||
+          (isFrench() ? "Trier par" : "Sort by"),
+        sortName: el?.getAttribute("data-sort-name") ||
+          (isFrench() ? "Nom (A à Z)" : "Name (A to Z)"),
+        sortScoreDesc: el?.getAttribute("data-sort-score-desc") ||
+          (isFrench() ? "Dernière note (la plus élevée d'abord)" : "Latest score (highest first)"),
+        sortScoreAsc: el?.getAttribute("data-sort-score-asc") ||
+          (isFrench() ? "Dernière note (la plus basse d'abord)" : "Latest score (lowest first)"),
+        sortDate: el?.getAttribute("data-sort-date") ||
+          (isFrench() ? "Inspection la plus récente" : "Most recent inspection"),
+        // {{sort}} is replaced with the selected option label
+        sortStatusTemplate: el?.getAttribute("data-sort-status-template") ||
+          (isFrench() ? "Résultats triés par : {{sort}}." : "Results sorted by: {{sort}}."),
+        tableViewLabel: el?.getAttribute("data-table-view-label") ||
+          (isFrench() ? "Afficher sous forme de tableau" : "Show as table"),
+        tableViewCaption: el?.getAttribute("data-table-view-caption") ||
+          (isFrench() ? "Navires de croisière" : "Cruise ships"),
+        vesselLabel: el?.getAttribute("data-vessel-label") ||
+          (isFrench() ? "Navire" : "Vessel"),
+        latestDateLabel: el?.getAttribute("data-latest-date-label") ||
+          (isFrench() ? "Dernière inspection" : "Latest inspection"),
+        latestScoreLabel: el?.getAttribute("data-latest-score-label") ||
+          (isFrench() ? "Dernière note" : "Latest score"),
+        inspectionCountLabel: el?.getAttribute("data-inspection-count-label") ||
+          (isFrench() ? "Nombre d'inspections" : "Number of inspections"),
+        sortAscending: el?.getAttribute("data-sort-ascending") ||
+          (isFrench() ? "ordre croissant" : "ascending"),
+        sortDescending: el?.getAttribute("data-sort-descending") ||
+          (isFrench() ? "ordre décroissant" : "descending"),
+        // {{column}} / {{direction}} are replaced
+        tableSortStatusTemplate: el?.getAttribute("data-table-sort-status-template") ||
+          (isFrench() ? "Tableau trié par {{column}}, {{direction}}." : "Table sorted by {{column}}, {{direction}}."),
+        exportLabel: el?.getAttribute("data-export-label") ||
+          (isFrench() ? "Exporter les résultats" : "Export results"),
+        exportCsvLabel: el?.getAttribute("data-export-csv-label") ||
+          (isFrench() ? "Télécharger (CSV)" : "Download (CSV)"),
+        exportJsonLabel: el?.getAttribute("data-export-json-label") ||
+          (isFrench() ? "Télécharger (JSON)" : "Download (JSON)"),
+        // {{done}} / {{total}} are replaced
+        exportProgressTemplate: el?.getAttribute("data-export-progress-template") ||
+          (isFrench() ? "Préparation de l'exportation : {{done}} navire(s) sur {{total}}" : "Preparing export: {{done}} of {{total}} vessel(s)"),
+        // {{rows}} is replaced
+        exportDoneTemplate: el?.getAttribute("data-export-done-template") ||
+          (isFrench() ? "Exportation prête : {{rows}} ligne(s)." : "Export ready: {{rows}} row(s)."),
+        exportError: el?.getAttribute("data-export-error") ||
+          (isFrench()
+            ? "Certains historiques d'inspection n'ont pas pu être chargés. Veuillez réessayer l'exportation."
+            : "Some inspection histories could not be loaded. Please try the export again."),
+        exportFileName: el?.getAttribute("data-export-file-name") || "cruise-ship-inspection-scores",
+        compareLabel: el?.getAttribute("data-compare-label") ||
+          (isFrench() ? "Comparer" : "Compare"),
+        comparePanelTitle: el?.getAttribute("data-compare-panel-title") ||
+          (isFrench() ? "Comparaison de navires" : "Vessel comparison"),
+        compareClearLabel: el?.getAttribute("data-compare-clear-label") ||
+          (isFrench() ? "Effacer la comparaison" : "Clear comparison"),
+        compareRemoveLabel: el?.getAttribute("data-compare-remove-label") ||
+          (isFrench() ? "Retirer" : "Remove"),
+        compareYearLabel: el?.getAttribute("data-compare-year-label") ||
+          (isFrench() ? "Année" : "Year"),
+        // {{count}} / {{max}} are replaced
+        compareCountTemplate: el?.getAttribute("data-compare-count-template") ||
+          (isFrench() ? "{{count}} navire(s) sélectionné(s) sur {{max}}." : "{{count}} of {{max}} vessel(s) selected."),
+        // {{ship}} / {{count}} / {{max}} are replaced
+        compareAddedTemplate: el?.getAttribute("data-compare-added-template") ||
+          (isFrench() ? "{{ship}} ajouté à la comparaison ({{count}} sur {{max}})." : "{{ship}} added to the comparison ({{count}} of {{max}})."),
+        compareRemovedTemplate: el?.getAttribute("data-compare-removed-template") ||
+          (isFrench() ? "{{ship}} retiré de la comparaison ({{count}} sur {{max}})." : "{{ship}} removed from the comparison ({{count}} of {{max}})."),
+        compareLimitTemplate: el?.getAttribute("data-compare-limit-template") ||
+          (isFrench()
+            ? "Vous pouvez comparer jusqu'à {{max}} navires. Retirez-en un avant d'en ajouter un autre."
+            : "You can compare up to {{max}} vessels. Remove one before adding another."),
+        compareCleared: el?.getAttribute("data-compare-cleared") ||
+          (isFrench() ? "Comparaison effacée." : "Comparison cleared."),
+        // Minimum passing score; also drawn on the trend chart
+        passScore: el?.getAttribute("data-pass-score") || String(DEFAULT_PASS_SCORE),
+        // Optional multi-band spec "95:Excellent, 86:Satisfactory, 0:Unsatisfactory";
+        // empty = two bands split at passScore using the labels below
+        ratingBands: el?.getAttribute("data-rating-bands") || "",
+        ratingSatisfactoryLabel: el?.getAttribute("data-rating-satisfactory-label") ||
+          (isFrench() ? "Satisfaisant" : "Satisfactory"),
+        ratingUnsatisfactoryLabel: el?.getAttribute("data-rating-unsatisfactory-label") ||
+          (isFrench() ? "Insatisfaisant" : "Unsatisfactory"),
+        latestRatingLabel: el?.getAttribute("data-latest-rating-label") ||
+          (isFrench() ? "dernière cote :" : "latest rating:"),
+        // {{ships}} / {{mean}} / {{min}} / {{date}} are replaced
+        linerStatsTemplate: el?.getAttribute("data-liner-stats-template") ||
+          (isFrench()
+            ? "{{ships}} navire(s), note récente moyenne {{mean}}, note récente la plus basse {{min}}, inspection la plus récente {{date}}"
+            : "{{ships}} ship(s), mean latest score {{mean}}, lowest latest score {{min}}, most recent inspection {{date}}"),
+        // Shown for {{mean}} / {{min}} / {{date}} when no ship has a scored inspection
+        linerStatsNone: el?.getAttribute("data-liner-stats-none") ||
+          (isFrench() ? "aucune" : "none"),
+        // Number of entries in the "Recent inspections" panel (0 hides it)
+        recentCount: el?.getAttribute("data-recent-count") || "10",
+        recentTitle: el?.getAttribute("data-recent-title") ||
+          (isFrench() ? "Inspections récentes" : "Recent inspections"),
+        recentLoading: el?.getAttribute("data-recent-loading") ||
+          (isFrench() ? "Chargement des inspections récentes..." : "Loading recent inspections..."),
+        recentEmpty: el?.getAttribute("data-recent-empty") ||
+          (isFrench() ? "Aucune inspection récente." : "No recent inspections."),
+        recentError: el?.getAttribute("data-recent-error") ||
+          (isFrench() ? "Impossible de charger les inspections récentes. " : "Unable to load recent inspections. "),
+        // {{ship}} is replaced
+        recentFiltersClearedTemplate: el?.getAttribute("data-recent-filters-cleared-template") ||
+          (isFrench()
+            ? "Recherche et filtres de poids effacés pour afficher {{ship}}."
+            : "Search and weight filters cleared to show {{ship}}."),
+        suggestionsLabel: el?.getAttribute("data-suggestions-label") ||
+          (isFrench() ? "Suggestions de compagnies et de navires" : "Cruise line and ship suggestions"),
+        treeKeyboardHint: el?.getAttribute("data-tree-keyboard-hint") ||
+          (isFrench()
+            ? "Utilisez les flèches haut et bas pour passer d'une compagnie ou d'un navire à l'autre, droite et gauche pour ouvrir ou fermer, et Tab pour atteindre le contenu."
+            : "Use the up and down arrows to move between cruise lines and ships, right and left to expand or collapse, and Tab to reach the content."),
+        bulkLabel: el?.getAttribute("data-bulk-label") ||
+          (isFrench() ? "Ouvrir ou fermer" : "Expand or collapse"),
+        expandLinersLabel: el?.getAttribute("data-expand-liners-label") ||
+          (isFrench() ? "Ouvrir toutes les compagnies" : "Expand all cruise lines"),
+        collapseLinersLabel: el?.getAttribute("data-collapse-liners-label") ||
+          (isFrench() ? "Fermer toutes les compagnies" : "Collapse all cruise lines"),
+        expandShipsLabel: el?.getAttribute("data-expand-ships-label") ||
+          (isFrench() ? "Ouvrir tous les navires affichés" : "Expand all ships shown"),
+        collapseShipsLabel: el?.getAttribute("data-collapse-ships-label") ||
+          (isFrench() ? "Fermer tous les navires affichés" : "Collapse all ships shown"),
+        // {{count}} is replaced
+        linersExpandedTemplate: el?.getAttribute("data-liners-expanded-template") ||
+          (isFrench() ? "{{count}} compagnie(s) ouverte(s)." : "{{count}} cruise line(s) expanded."),
+        linersCollapsedTemplate: el?.getAttribute("data-liners-collapsed-template") ||
+          (isFrench() ? "{{count}} compagnie(s) fermée(s)." : "{{count}} cruise line(s) collapsed."),
+        // {{done}} / {{total}} are replaced
+        shipsProgressTemplate: el?.getAttribute("data-ships-progress-template") ||
+          (isFrench()
+            ? "Chargement des historiques d'inspection : {{done}} navire(s) sur {{total}}"
+            : "Loading inspection histories: {{done}} of {{total}} ship(s)"),
+        // {{count}} is replaced
+        shipsExpandedTemplate: el?.getAttribute("data-ships-expanded-template") ||
+          (isFrench() ? "{{count}} navire(s) ouvert(s)." : "{{count}} ship(s) expanded."),
+        shipsCollapsedTemplate: el?.getAttribute("data-ships-collapsed-template") ||
+          (isFrench() ? "{{count}} navire(s) fermé(s)." : "{{count}} ship(s) collapsed."),
+        // {{count}} is replaced; appended to shipsExpandedTemplate
+        shipsFailedTemplate: el?.getAttribute("data-ships-failed-template") ||
+          (isFrench()
+            ? "L'historique de {{count}} navire(s) n'a pas pu être chargé."
+            : "History could not be loaded for {{count}} ship(s).")
+      };
+
+      // ShipScores.init({ texts: { ... } }) label overrides
+      if (textOverrides) {
+        Object.keys(ui).forEach(function (k) {
+          if (typeof textOverrides[k] === "string" && textOverrides[k]) ui[k] = textOverrides[k];
+        });
+      }
+      return ui;
+    }
+
+    function getRating() {
+      var ui = getShipScoresText();
+      var pass = Number(ui.passScore);
+      if (!isFinite(pass)) pass = DEFAULT_PASS_SCORE;
+
+      var bands = parseRatingBands(ui.ratingBands);
+      if (!bands.length) {
+        bands = [
+          { min: pass, label: ui.ratingSatisfactoryLabel },
+          { min: -Infinity, label: ui.ratingUnsatisfactoryLabel }
+        ];
+      }
+      return { passScore: pass, bands: bands };
+    }
+
+    // Latest band on the ship summary (score from the vessels query or newest history row)
+    function setSummaryRatingBadge(summaryEl, score) {
+      var band = ratingForScore(score, getRating());
+      setSummaryBadge(
+        summaryEl,
+        band ? band.label : "",
+        band ? ratingClassName(band) : "",
+        getShipScoresText().latestRatingLabel
+      );
+    }
+
+    // =========================================================
+    // Dataverse filter configuration
+    //
+    // Tenant-specific values (dev/test/prod GUIDs differ) used by both the
+    // vessels and incidents queries. Overrides, lowest to highest precedence:
+    //   1. DEFAULT_FILTER_CONFIG below
+    //   2. JSON island: <script type="application/json" id="shipScoresConfig">
+    //   3. #shipScoresText data attributes:
+    //        data-inspection-type-ids="guid,guid"
+    //        data-establishment-type, data-inspection-scope, data-excluded-status-code
+    // =========================================================
+    var DEFAULT_FILTER_CONFIG = {
+      // ethi_rbiinspectiontype: Routine - Announced, Routine - Unannounced.
+      // Order matters: history rows show these as routineAnnouncedLabel /
+      // routineUnannouncedLabel from #shipScoresText.
+      inspectionTypeIds: [
+        "05aea5d2-11eb-ef11-9342-0022486e14f0",
+        "4c5048c5-11eb-ef11-9342-0022486e14f0"
+      ],
+      establishmentType: 992800002,   // Cruise vessel
+      inspectionScope: 786080000,     // Full inspection
+      excludedStatusCode: 6           // Cancelled
+    };
+
+    var __FilterConfig = null;
+
+    function readFilterConfigIsland() {
+      var el = document.getElementById("shipScoresConfig");
+      if (!el) return null;
+      try {
+        var parsed = JSON.parse(el.textContent || "{}");
+        return (parsed && typeof parsed === "object") ? parsed : null;
+      } catch (e) {
+        logger.error("Filter config JSON island is invalid; using defaults", { error: e && e.message });
+        return null;
+      }
+    }
+
+    function applyFilterConfigOverrides(cfg, src) {
+      if (!src) return;
+
+      var ids = src.inspectionTypeIds;
+      if (typeof ids === "string") ids = ids.split(/[\s,;]+/);
+      if (Array.isArray(ids)) {
+        ids = ids.map(normalizeGuid).filter(function (id) {
+          if (!id) return false;
+          if (OData && !OData.isGuid(id)) {
+            logger.warn("Filter config inspection type id ignored (not a GUID)", { value: id });
+            return false;
+          }
+          return true;
+        });
+        if (ids.length) cfg.inspectionTypeIds = ids;
+      }
+
+      ["establishmentType", "inspectionScope", "excludedStatusCode"].forEach(function (key) {
+        var v = src[key];
+        if (v === null || v === undefined || String(v).trim() === "") return;
+        var n = parseInt(v, 10);
+        if (isFinite(n)) cfg[key] = n;
+        else logger.warn("Filter config value ignored (not an integer)", { key: key, value: v });
+      });
+    }
+
+    function getFilterConfig() {
+      if (__FilterConfig) return __FilterConfig;
+
+      var cfg = {
+        inspectionTypeIds: DEFAULT_FILTER_CONFIG.inspectionTypeIds.slice(),
+        establishmentType: DEFAULT_FILTER_CONFIG.establishmentType,
+        inspectionScope: DEFAULT_FILTER_CONFIG.inspectionScope,
+        excludedStatusCode: DEFAULT_FILTER_CONFIG.excludedStatusCode
+      };
+
+      applyFilterConfigOverrides(cfg, readFilterConfigIsland());
+
+      var el = els.texts;
+      if (el) {
+        applyFilterConfigOverrides(cfg, {
+          inspectionTypeIds: el.getAttribute("data-inspection-type-ids"),
+          establishmentType: el.getAttribute("data-establishment-type"),
+          inspectionScope: el.getAttribute("data-inspection-scope"),
+          excludedStatusCode: el.getAttribute("data-excluded-status-code")
+        });
+      }
+
+      __FilterConfig = cfg;
+      logger.info("Filter config resolved", cfg);
+      return cfg;
+    }
+
+    function inspectionTypeClause(cfg, prefix) {
+      return OData.oneOf(prefix + "_ethi_rbiinspectiontype_value", cfg.inspectionTypeIds.map(OData.guid));
+    }
+
+    // Published, non-cancelled, in-scope routine inspections (shared by both queries).
+    // prefix: "" for incidents, "o1/" inside a lambda over the vessel's incidents.
+    function inspectionFilterClauses(cfg, prefix) {
+      return [
+        OData.ne(prefix + "ethi_finalreportcreated", null),
+        OData.eq(prefix + "statecode", 0),
+        OData.ne(prefix + "statuscode", cfg.excludedStatusCode),
+        OData.eq(prefix + "ethi_inspectionscope", cfg.inspectionScope),
+        inspectionTypeClause(cfg, prefix)
+      ];
+    }
+
+    function incidentsFilterClauses(cfg, prefix) {
+      return inspectionFilterClauses(cfg, prefix).concat([
+        OData.eq(prefix + "ethi_establishmenttype", cfg.establishmentType)
+      ]);
+    }
+
+    // =========================================================
+    // Persistent client cache (sessionStorage, TTL)
+    //
+    // Survives page views and EN/FR switches within the tab. Keys embed a
+    // version derived from CACHE_SCHEMA_VERSION + the filter config, so a
+    // config change (or a different tenant) never reads another's entries;
+    // only keys of another version are dropped. Each language has its own
+    // namespace under the version (records carry Dataverse formatted values,
+    // e.g. weight ranges, in the page language), and both are kept.
+    //
+    //   ShipScores:<version>:<lang>:vessels:<years>           vessel records (data source shape)
+    //   ShipScores:<version>:<lang>:history:<years>:<vessel>  [{date,score,type}]
+    //
+    // TTL: data-cache-ttl-minutes on #shipScoresText (0 disables).
+    // Sources with cacheable: false (fixture mode) bypass storage entirely.
+    // Vessels past TTL still render immediately, then revalidate.
+    // =========================================================
+    var CACHE_PREFIX = "ShipScores:";
+    var CACHE_SCHEMA_VERSION = 4;
+    var DEFAULT_CACHE_TTL_MINUTES = 15;
+    var __cacheStorage;
+
+    function cacheTtlMs() {
+      var el = els.texts;
+      var v = el ? parseFloat(el.getAttribute("data-cache-ttl-minutes")) : NaN;
+      var minutes = (isFinite(v) && v >= 0) ? v : DEFAULT_CACHE_TTL_MINUTES;
+      return minutes * 60 * 1000;
+    }
+
+    // djb2 — short, stable fingerprint for the cache version
+    function hashString(str) {
+      var h = 5381;
+      for (var i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+      return (h >>> 0).toString(36);
+    }
+
+    function cacheVersion() {
+      return "v" + CACHE_SCHEMA_VERSION + "." + hashString(getDataSource().name + JSON.stringify(getFilterConfig()));
+    }
+
+    function cacheNamespace() {
+      return CACHE_PREFIX + cacheVersion() + ":" + (isFrench() ? "fr" : "en") + ":";
+    }
+
+    function cacheKeys(storage) {
+      var keys = [];
+      for (var i = 0; i < storage.length; i++) {
+        var k = storage.key(i);
+        if (k && k.indexOf(CACHE_PREFIX) === 0) keys.push(k);
+      }
+      return keys;
+    }
+
+    // null when storage is unavailable (private mode, disabled) or TTL is 0
+    function getCacheStorage() {
+      if (!getDataSource().cacheable) return null;
+      if (__cacheStorage !== undefined) return __cacheStorage;
+      __cacheStorage = null;
+
+      if (!(cacheTtlMs() > 0)) return null;
+      try {
+        var st = window.sessionStorage;
+        st.setItem(CACHE_PREFIX + "probe", "1");
+        st.removeItem(CACHE_PREFIX + "probe");
+        __cacheStorage = st;
+      } catch (e) {
+        logger.warn("Storage cache unavailable", { error: e && e.message });
+        return null;
+      }
+
+      // Drop entries written under another version (either language)
+      var current = CACHE_PREFIX + cacheVersion() + ":";
+      cacheKeys(__cacheStorage).forEach(function (k) {
+        if (k.indexOf(current) !== 0) __cacheStorage.removeItem(k);
+      });
+      return __cacheStorage;
+    }
+
+    function vesselsCacheKey(years) {
+      return cacheNamespace() + "vessels:" + (years || "all");
+    }
+
+    function historyCacheKey(vesselId, years) {
+      return cacheNamespace() + "history:" + (years || "all") + ":" + normalizeGuid(vesselId).toLowerCase();
+    }
+
+    // -> { data, ageMs, fresh } or null
+    function readPersistentCache(key) {
+      var st = getCacheStorage();
+      if (!st) return null;
+      try {
+        var entry = JSON.parse(st.getItem(key) || "null");
+        if (!entry || typeof entry.t !== "number" || entry.data === undefined) return null;
+        var ageMs = Date.now() - entry.t;
+        return { data: entry.data, ageMs: ageMs, fresh: ageMs >= 0 && ageMs < cacheTtlMs() };
+      } catch (e) {
+        logger.debug("Storage cache read failed", { key: key, error: e && e.message });
+        return null;
+      }
+    }
+
+    function writePersistentCache(key, data) {
+      var st = getCacheStorage();
+      if (!st) return;
+      var payload = JSON.stringify({ t: Date.now(), data: data });
+      try {
+        st.setItem(key, payload);
+      } catch (e) {
+        // Quota: start over once rather than silently keeping a partial cache
+        clearPersistentCache();
+        try { st.setItem(key, payload); } catch (e2) {
+          logger.warn("Storage cache write failed", { key: key, error: e2 && e2.message });
+        }
+      }
+    }
+
+    function clearPersistentCache() {
+      var st = getCacheStorage();
+      if (!st) return 0;
+      var keys = cacheKeys(st);
+      keys.forEach(function (k) { st.removeItem(k); });
+      return keys.length;
+    }
+
+    // Copies a fresh stored history into the in-memory cache
+    function hydrateHistoryFromStorage(cache, vesselId, years) {
+      var stored = readPersistentCache(historyCacheKey(vesselId, years));
+      if (!stored || !stored.fresh || !Array.isArray(stored.data)) return null;
+      cache[vesselId] = { loaded: true, loading: false, rows: stored.data };
+      return stored.data;
+    }
+
+    // Public: ShipScores.clearCache() — storage + in-memory histories
+    function clearCache() {
+      var removed = clearPersistentCache();
+      __InspectionCache = Object.create(null);
+      __RecentCache = Object.create(null);
+      cancelQueuedHistoryBatches();
+      logger.info("Cache cleared", { storageEntries: removed });
+      return removed;
+    }
+
+    // =========================================================
+    // Data sources (pluggable)
+    //
+    // The tree only talks to a data source object:
+    //   name                                string (logs, cache version)
+    //   cacheable                           results may be kept in sessionStorage
+    //   isAvailable()                       optional; false leaves the page as-is
+    //   isValidId(id)                       optional; ids failing it are not prefetched
+    //   listVessels({ years })              -> Promise<[{ vesselId, name, ownerId, ownerName, weight,
+    //                                          latestDate?, latestScore?, inspectionCount? }]>
+    //   getVesselHistory(id, { years })     -> Promise<[{ date (ISO), score, type, typeId? }]>
+    //   getVesselHistories(ids, { years })  optional batch form -> Promise<{ <lower-case id>: [...] }>
+    //   listRecentInspections({ years, top }) optional, newest first across all vessels
+    //                                       -> Promise<[{ vesselId, date (ISO), score, type, typeId? }]>
+    //
+    // Rejections should look like XHR failures ({ status, statusText }) so
+    // classifyLoadError can tell offline / auth / throttled / server apart.
+    //
+    // Default: Dataverse via the Power Pages Web API. Fixture mode serves a
+    // JSON file (or a #shipScoresFixture JSON island) with optional simulated
+    // latency and errors, so the page runs without a tenant:
+    //   #shipScoresText data-data-source="fixture" data-fixture-url="..."
+    //                   data-fixture-latency-ms="800" data-fixture-errors="history:server:0.5"
+    //   errors: target:kind[:rate[:retry-after seconds]], e.g. "history:throttled:1:5".
+    //   Simulated errors go through the same retry / classification as Dataverse.
+    //
+    // Query flags (?ss-source=fixture&ss-latency=800&ss-errors=vessels:offline)
+    // are honoured only where #shipScoresText has data-test-mode="on", so a
+    // shared link can't switch a production page to invented scores. The
+    // fixture itself always comes from data-fixture-url or the island, never
+    // from the query string.
+    // =========================================================
+    var DATA_SOURCE_PARAMS = { source: "ss-source", latency: "ss-latency", errors: "ss-errors" };
+    var __DataSource = null;
+
+    // ---- Dataverse -------------------------------------------------------
+
+    var INCIDENT_FIELDS = ["_ethi_conveyance_value", "_ethi_rbiinspectiontype_value", "ethi_inspectionenddateandtime",
+      "ethi_inspectionscore", "statecode", "statuscode"];
+
+    // One incidents query for one or more vessels (_ethi_conveyance_value or-chain)
+    function buildIncidentsUrl(vesselIds) {
+      return OData.query("/_api/incidents")
+        .select(INCIDENT_FIELDS)
+        .filter(incidentsFilterClauses(getFilterConfig(), ""))
+        .filter(OData.oneOf("_ethi_conveyance_value", vesselIds.map(OData.guid)))
+        .orderby("ethi_inspectionenddateandtime", true)
+        .toString();
+    }
+
+    // Same criteria, no vessel constraint: the fleet's newest scored inspections
+    function buildRecentIncidentsUrl(years, top) {
+      var q = OData.query("/_api/incidents")
+        .select(INCIDENT_FIELDS)
+        .filter(incidentsFilterClauses(getFilterConfig(), ""))
+        .filter(OData.ne("_ethi_conveyance_value", null), OData.ne("ethi_inspectionscore", null));
+      if (years > 0) {
+        q.filter(OData.fn("Microsoft.Dynamics.CRM.LastXYears", {
+          PropertyName: "ethi_inspectionenddateandtime",
+          PropertyValue: years
+        }));
+      }
+      return q.orderby("ethi_inspectionenddateandtime", true).top(top).toString();
+    }
+
+    function fetchIncidents(vesselIds, label) {
+      // Builder throws on a malformed GUID — surface it as a rejected load
+      return new Promise(function (resolve) {
+        if (!OData) throw new Error("shipScoresOData.js not loaded");
+        var url = buildIncidentsUrl(vesselIds);
+        logger.debug(label + ": GET", { vessels: vesselIds.length });
+        resolve(doOdataGetAll(url, { formattedValues: true, label: label }));
+      }).then(odataToArray);
+    }
+
+    function dataverseVesselRecord(r) {
+      // Expanded qualifying inspections (already limited to the look-back window)
+      var latest = summarizeInspections(
+        ((r && r.ethi_Incident_Conveyance_ethi_vessel) || []).map(function (i) {
+          return { date: i.ethi_inspectionenddateandtime, score: i.ethi_inspectionscore };
+        })
+      );
+      var ownerName = "";
+      try {
+        ownerName = r && r.ethi_OwnerId && r.ethi_OwnerId.name ? String(r.ethi_OwnerId.name).trim() : "";
+      } catch (e) {}
+
+      return {
+        vesselId: (r && r.ethi_vesselid) ? normalizeGuid(r.ethi_vesselid) : "",
+        name: (r && r.ethi_name) ? String(r.ethi_name).trim() : "",
+        ownerId: (r && r._ethi_ownerid_value) ? normalizeGuid(r._ethi_ownerid_value) : "",
+        ownerName: ownerName,
+        // Choice label (e.g. "120001 - 140000"); raw option value as fallback
+        weight: formattedValue(r, "ethi_shipweightrange") ||
+          ((r && r.ethi_shipweightrange !== null && r.ethi_shipweightrange !== undefined)
+            ? String(r.ethi_shipweightrange)
+            : ""),
+        latestDate: latest.latestDate,
+        latestScore: latest.latestScore,
+        inspectionCount: latest.inspectionCount
+      };
+    }
+
+    function dataverseInspectionRecord(r) {
+      return {
+        date: r ? r.ethi_inspectionenddateandtime : null,
+        score: r ? r.ethi_inspectionscore : null,
+        // Lookup name in the tenant's language; only shown for type ids
+        // that aren't in the filter config (see inspectionTypeText)
+        type: formattedValue(r, "_ethi_rbiinspectiontype_value"),
+        typeId: r ? normalizeGuid(r._ethi_rbiinspectiontype_value) : ""
+      };
+    }
+
+    function createDataverseDataSource() {
+      return {
+        name: "dataverse",
+        cacheable: true,
+
+        isAvailable: function () {
+          var hasETHI = window.eTHIDataverse && typeof window.eTHIDataverse.safeAjax === "function";
+          var hasWebapi = window.webapi && typeof window.webapi.safeAjax === "function";
+          return !!(hasETHI || hasWebapi);
+        },
+
+        isValidId: function (id) {
+          return !!OData && OData.isGuid(id);
+        },
+
+        listVessels: function (opts) {
+          if (!OData) {
+            logger.error("Vessels OData load skipped: shipScoresOData.js not loaded");
+            return Promise.reject(new Error("shipScoresOData.js not loaded"));
+          }
+          return fetchVesselRows(opts && opts.years).then(function (rows) {
+            return rows.map(dataverseVesselRecord);
+          });
+        },
+
+        getVesselHistory: function (vesselId) {
+          return fetchIncidents([vesselId], "Inspection lazy-load").then(function (rows) {
+            logger.debug("Inspection lazy-load rows (raw)", { vesselId: vesselId, count: rows.length });
+            return rows.map(dataverseInspectionRecord);
+          });
+        },
+
+        getVesselHistories: function (vesselIds) {
+          return fetchIncidents(vesselIds, "Inspection batch").then(function (rows) {
+            var byId = Object.create(null);
+            vesselIds.forEach(function (id) { byId[normalizeGuid(id).toLowerCase()] = []; });
+            rows.forEach(function (r) {
+              var key = normalizeGuid(r && r._ethi_conveyance_value).toLowerCase();
+              if (key && byId[key]) byId[key].push(dataverseInspectionRecord(r));
+            });
+            return byId;
+          });
+        },
+
+        listRecentInspections: function (opts) {
+          return new Promise(function (resolve) {
+            if (!OData) throw new Error("shipScoresOData.js not loaded");
+            var url = buildRecentIncidentsUrl(opts && opts.years, (opts && opts.top) || 10);
+            resolve(doOdataGetAll(url, { formattedValues: true, label: "Recent inspections", maxPages: 1 }));
+          }).then(odataToArray).then(function (rows) {
+            return rows.map(function (r) {
+              var rec = dataverseInspectionRecord(r);
+              rec.vesselId = normalizeGuid(r && r._ethi_conveyance_value);
+              return rec;
+            });
+          });
+        }
+      };
+    }
+
+    // ---- Selection -------------------------------------------------------
+
+    function readFixtureIsland() {
+      var el = document.getElementById("shipScoresFixture");
+      if (!el) return null;
+      try {
+        return JSON.parse(el.textContent || "null");
+      } catch (e) {
+        logger.error("Fixture JSON island is invalid; falling back to the fixture URL", { error: e && e.message });
+        return null;
+      }
+    }
+
+    // Query flags win over data attributes, on test-mode pages only
+    function readDataSourceSettings() {
+      var el = els.texts;
+      var testMode = !!el && (el.getAttribute("data-test-mode") || "").toLowerCase() === "on";
+      var params = null;
+      if (testMode) {
+        try { params = new URLSearchParams(window.location.search); } catch (e) {}
+      }
+
+      function pick(param, attr) {
+        var v = params ? params.get(param) : null;
+        if (v === null || v === "") v = el ? el.getAttribute(attr) : null;
+        return String(v || "").trim();
+      }
+
+      return {
+        source: pick(DATA_SOURCE_PARAMS.source, "data-data-source").toLowerCase(),
+        fixtureUrl: String((el && el.getAttribute("data-fixture-url")) || "").trim(),
+        latencyMs: pick(DATA_SOURCE_PARAMS.latency, "data-fixture-latency-ms"),
+        errors: pick(DATA_SOURCE_PARAMS.errors, "data-fixture-errors")
+      };
+    }
+
+    function isDataSource(source) {
+      return !!source && typeof source.listVessels === "function" && typeof source.getVesselHistory === "function";
+    }
+
+    function getDataSource() {
+      if (__DataSource) return __DataSource;
+
+      if (o.dataSource) {
+        if (isDataSource(o.dataSource)) {
+          __DataSource = o.dataSource;
+          logger.info("Data source from options", { name: __DataSource.name || "(custom)" });
+          return __DataSource;
+        }
+        logger.error("Ignoring options.dataSource: listVessels() and getVesselHistory() are required");
+      }
+
+      var settings = readDataSourceSettings();
+      if (settings.source === "fixture" || settings.source === "mock") {
+        __DataSource = createFixtureDataSource({
+          data: readFixtureIsland(),
+          url: settings.fixtureUrl,
+          latencyMs: settings.latencyMs,
+          errors: settings.errors
+        });
+      } else {
+        __DataSource = createDataverseDataSource();
+      }
+
+      logger.info("Data source resolved", { name: __DataSource.name });
+      return __DataSource;
+    }
+
+    // Public: ShipScores.setDataSource(source) — swaps the source and reloads the tree
+    function setDataSource(source) {
+      if (!isDataSource(source)) {
+        throw new Error("ShipScores.setDataSource: source needs listVessels() and getVesselHistory()");
+      }
+
+      var tree = els.tree;
+      var state = captureTreeState(tree);
+
+      __DataSource = source;
+      __cacheStorage = undefined;
+      __InspectionCache = Object.create(null);
+      __RecentCache = Object.create(null);
+      cancelQueuedHistoryBatches();
+      logger.info("Data source changed", { name: source.name || "(custom)" });
+
+      loadLinersAndShipsFromVessels(function (ok) {
+        if (ok) restoreTreeState(tree, state);
+      });
+    }
+
+    // =========================================================
+    // Inspection history: lazy-load per vessel
+    // =========================================================
+    function fetchHistoryRecords(vesselId, years) {
+      // Thrown errors (e.g. bad ids) become rejections like any failed load
+      return new Promise(function (resolve) {
+        resolve(getDataSource().getVesselHistory(vesselId, { years: years }));
+      });
+    }
+
+    // Inspection records -> [{date,score,type,typeId}] within the look-back window, newest first
+    function toHistoryRows(records, years) {
+      var outRows = [];
+      (records || []).forEach(function (r) {
+        var iso = r ? r.date : null;
+        if (!iso) return;
+        if (years > 0 && !isWithinLastYears(iso, years)) return;
+
+        outRows.push({
+          date: dateOnly(iso),
+          score: formatScore(r.score),
+          type: r.type ? String(r.type) : "",
+          typeId: r.typeId ? normalizeGuid(r.typeId).toLowerCase() : ""
+        });
+      });
+
+      outRows.sort(function (a, b) {
+        return (a.date < b.date) ? 1 : (a.date > b.date ? -1 : 0);
+      });
+      return outRows;
+    }
+
+    // Localized name for a history row's inspection type. Rows keep the
+    // type id so cached histories follow the page language; the lookup name
+    // from the source is only a fallback for ids outside the filter config.
+    function inspectionTypeText(row) {
+      var id = row && row.typeId ? normalizeGuid(row.typeId).toLowerCase() : "";
+      if (id) {
+        var ids = getFilterConfig().inspectionTypeIds || [];
+        var t = getShipScoresText();
+        for (var i = 0; i < ids.length && i < 2; i++) {
+          if (normalizeGuid(ids[i]).toLowerCase() === id) {
+            return i === 0 ? t.routineAnnouncedLabel : t.routineUnannouncedLabel;
+          }
+        }
+      }
+      return (row && row.type) || "";
+    }
+
+    function withTypeText(rows) {
+      return (rows || []).map(function (r) {
+        return { date: r.date, score: r.score, type: inspectionTypeText(r), typeId: r.typeId };
+      });
+    }
+
+    function logHistoryLoadError(msg, ctx, err) {
+      try {
+        if (err && err.status) {
+          ctx.status = err.status;
+          ctx.statusText = err.statusText;
+        } else {
+          ctx.error = err;
+        }
+        logger.error(msg, ctx);
+      } catch (e) {}
+    }
+
+    function loadInspectionHistoryForVessel(vesselIdRaw) {
+      var vesselId = normalizeGuid(vesselIdRaw);
+      if (!vesselId) return Promise.resolve({ rows: [] });
+
+      // Captured so a response arriving after a period change can't repopulate the new cache
+      var cache = __InspectionCache;
+
+      var c = cache[vesselId];
+      if (c && c.loaded) return Promise.resolve({ rows: c.rows || [] });
+      if (c && c.loading && c.promise) {
+        // Waiting on a queued batch: move it to the front
+        if (c.batch && !c.batch.started) prioritizeHistoryBatch(c.batch);
+        return c.promise;
+      }
+
+      var years = getLookbackYears();
+      var stored = hydrateHistoryFromStorage(cache, vesselId, years);
+      if (stored) return Promise.resolve({ rows: stored });
+
+      var p = fetchHistoryRecords(vesselId, years)
+        .then(function (records) {
+          var outRows = toHistoryRows(records, years);
+          cache[vesselId] = { loaded: true, loading: false, rows: outRows };
+          writePersistentCache(historyCacheKey(vesselId, years), outRows);
+          return { rows: outRows };
+        })
+        .catch(function (err) {
+          logHistoryLoadError("Inspection lazy-load failed", { vesselId: vesselId }, err);
+
+          // Do NOT mark as loaded on error — allows retry on next expand
+          cache[vesselId] = { loaded: false, loading: false, rows: [] };
+          return { rows: [], error: loadErrorOf(err) };
+        });
+
+      cache[vesselId] = { loaded: false, loading: true, rows: [], promise: p };
+      return p;
+    }
+
+    // =========================================================
+    // Batched history prefetch (one incidents query per chunk of vessels)
+    //
+    // When a liner opens, histories for its visible ships are requested in
+    // chunks of HISTORY_BATCH_SIZE vessel ids, at most
+    // HISTORY_BATCH_CONCURRENCY chunks in flight. Each vessel's cache entry
+    // holds a per-vessel promise, so expanding a ship mid-batch waits on the
+    // batch instead of issuing its own request (and jumps the queue).
+    //
+    // Opt out: data-history-prefetch="off" on #shipScoresText.
+    // =========================================================
+    var HISTORY_BATCH_SIZE = 15;
+    var HISTORY_BATCH_CONCURRENCY = 2;
+    var __historyBatchQueue = [];
+    var __historyBatchActive = 0;
+
+    function historyPrefetchEnabled() {
+      var el = els.texts;
+      var v = el ? String(el.getAttribute("data-history-prefetch") || "").trim().toLowerCase() : "";
+      return !(v === "off" || v === "false" || v === "0");
+    }
+
+    function runHistoryBatchQueue() {
+      while (__historyBatchActive < HISTORY_BATCH_CONCURRENCY && __historyBatchQueue.length) {
+        var job = __historyBatchQueue.shift();
+        job.started = true;
+        __historyBatchActive++;
+        job.run().then(function () {
+          __historyBatchActive--;
+          runHistoryBatchQueue();
+        });
+      }
+    }
+
+    function prioritizeHistoryBatch(job) {
+      job.prioritized = true;
+      var i = __historyBatchQueue.indexOf(job);
+      if (i <= 0) return;
+      __historyBatchQueue.splice(i, 1);
+      __historyBatchQueue.unshift(job);
+      logger.debug("History batch prioritized", { vessels: job.ids.length });
+    }
+
+    // Drops batches that have not started (e.g. after the cache is invalidated)
+    function cancelQueuedHistoryBatches() {
+      var dropped = __historyBatchQueue.splice(0, __historyBatchQueue.length);
+      dropped.forEach(function (job) { job.cancel(); });
+      if (dropped.length) logger.debug("Queued history batches cancelled", { count: dropped.length });
+    }
+
+    // Same for a given set of jobs only (from prefetchInspectionHistories);
+    // jobs an expanded ship is waiting on are kept
+    function cancelHistoryBatches(jobs) {
+      var dropped = 0;
+      (jobs || []).forEach(function (job) {
+        var i = __historyBatchQueue.indexOf(job);
+        if (i === -1 || job.prioritized) return;
+        __historyBatchQueue.splice(i, 1);
+        job.cancel();
+        dropped++;
+      });
+      if (dropped) logger.debug("Queued history batches cancelled", { count: dropped });
+    }
+
+    function queueHistoryBatch(source, ids, years, cache) {
+      var job = { ids: ids, started: false };
+
+      var settled = new Promise(function (resolve) {
+        job.cancel = function () { resolve({ error: { kind: "unknown", transient: true }, cancelled: true }); };
+        job.run = function () {
+          return new Promise(function (res) {
+            res(source.getVesselHistories(ids, { years: years }));
+          })
+            .then(function (byId) {
+              resolve({ byId: byId || {} });
+            })
+            .catch(function (err) {
+              logHistoryLoadError("Inspection batch failed", { vessels: ids.length }, err);
+              resolve({ error: loadErrorOf(err) });
+            });
+        };
+      });
+
+      ids.forEach(function (vesselId) {
+        var p = settled.then(function (res) {
+          if (res.error) {
+            cache[vesselId] = { loaded: false, loading: false, rows: [] };
+            return { rows: [], error: res.error };
+          }
+          var outRows = toHistoryRows(res.byId[vesselId.toLowerCase()] || [], years);
+          cache[vesselId] = { loaded: true, loading: false, rows: outRows };
+          writePersistentCache(historyCacheKey(vesselId, years), outRows);
+          return { rows: outRows };
+        });
+        cache[vesselId] = { loaded: false, loading: true, rows: [], promise: p, batch: job };
+      });
+
+      __historyBatchQueue.push(job);
+      return job;
+    }
+
+    // Returns the queued jobs (for cancelHistoryBatches)
+    function prefetchInspectionHistories(vesselIds) {
+      var source = getDataSource();
+      if (typeof source.getVesselHistories !== "function" || !historyPrefetchEnabled()) return [];
+
+      var cache = __InspectionCache;
+      var years = getLookbackYears();
+      var seen = Object.create(null);
+      var pending = (vesselIds || []).map(normalizeGuid).filter(function (id) {
+        if (!id || seen[id]) return false;
+        if (typeof source.isValidId === "function" && !source.isValidId(id)) return false;
+        seen[id] = true;
+        var c = cache[id];
+        if (c && (c.loaded || c.loading)) return false;
+        return !hydrateHistoryFromStorage(cache, id, years);
+      });
+      if (!pending.length) return [];
+
+      var jobs = [];
+      for (var i = 0; i < pending.length; i += HISTORY_BATCH_SIZE) {
+        jobs.push(queueHistoryBatch(source, pending.slice(i, i + HISTORY_BATCH_SIZE), years, cache));
+      }
+      logger.info("Inspection histories prefetch queued", {
+        vessels: pending.length, batches: jobs.length
+      });
+
+      runHistoryBatchQueue();
+      return jobs;
+    }
+
+    // Bulk loads (export, expand all, year: search) go HISTORY_LOAD_CHUNK
+    // vessels at a time, each chunk waiting for the previous one, so sources
+    // without batch support never get one request per ship at once. Misses
+    // are queued as batches first where the source supports them.
+    // onStart(i): vessel i was just requested; onDone(i, result) once it settled.
+    // shouldStop() (optional): checked before each chunk.
+    // Resolves with the results in vesselIds order.
+    var HISTORY_LOAD_CHUNK = 5;
+
+    function loadHistoriesInChunks(vesselIds, onStart, onDone, shouldStop) {
+      var results = [];
+      prefetchInspectionHistories(vesselIds);
+
+      function runChunk(start) {
+        if (__destroyed || start >= vesselIds.length) return Promise.resolve(results);
+        if (shouldStop && shouldStop()) return Promise.resolve(results);
+        var chunk = vesselIds.slice(start, start + HISTORY_LOAD_CHUNK);
+        return Promise.all(chunk.map(function (id, j) {
+          var i = start + j;
+          var p = loadInspectionHistoryForVessel(id);
+          if (onStart) onStart(i);
+          return p.then(function (r) {
+            results[i] = r;
+            if (onDone) onDone(i, r);
+          });
+        })).then(function () { return runChunk(start + HISTORY_LOAD_CHUNK); });
+      }
+
+      return runChunk(0);
+    }
+
+    function prefetchHistoriesForLiner(liner) {
+      var ids = qsa(liner, "details.browse-tree__ship[data-vessel-id]")
+        .filter(isVisible)
+        .map(function (ship) { return ship.getAttribute("data-vessel-id"); });
+      prefetchInspectionHistories(ids);
+    }
+
+    // =========================================================
+    // Deep links: search query + open liner/ship in the query string
+    //
+    //   ?q=<search text>&line=<owner account GUID>&vessel=<ethi_vesselid>
+    //
+    // Uses history.replaceState (no new history entries per keystroke/toggle).
+    // Unrelated query parameters (Power Pages, analytics) are preserved.
+    // Only the instance created with deepLinks (the auto-init tree) takes part.
+    // =========================================================
+    var URL_PARAMS = { query: "q", liner: "line", vessel: "vessel" };
+    var __deepLinkApplied = false;
+
+    function readUrlState() {
+      var out = { query: "", liner: "", vessel: "" };
+      if (!DEEP_LINKS) return out;
+      try {
+        var params = new URLSearchParams(window.location.search);
+        out.query = params.get(URL_PARAMS.query) || "";
+        out.liner = normalizeGuid(params.get(URL_PARAMS.liner));
+        out.vessel = normalizeGuid(params.get(URL_PARAMS.vessel));
+      } catch (e) {
+        logger.warn("readUrlState failed", { error: e && e.message });
+      }
+      return out;
+    }
+
+    // patch: { query?, liner?, vessel? } — empty string / null removes the parameter
+    function writeUrlState(patch) {
+      if (!DEEP_LINKS || !patch || !window.history || typeof window.history.replaceState !== "function") return;
+
+      try {
+        var url = new URL(window.location.href);
+        Object.keys(patch).forEach(function (key) {
+          var name = URL_PARAMS[key];
+          if (!name) return;
+          var v = patch[key] === null || patch[key] === undefined ? "" : String(patch[key]).trim();
+          if (v) url.searchParams.set(name, v);
+          else url.searchParams.delete(name);
+        });
+
+        var next = url.pathname + url.search + url.hash;
+        var current = window.location.pathname + window.location.search + window.location.hash;
+        if (next === current) return;
+
+        window.history.replaceState(window.history.state, "", next);
+        logger.debug("URL state updated", { url: next });
+      } catch (e) {
+        logger.warn("writeUrlState failed", { error: e && e.message });
+      }
+    }
+
+    function findShipByVesselId(root, vesselId) {
+      var id = normalizeGuid(vesselId).toLowerCase();
+      if (!id) return null;
+      return qsa(root, "details.browse-tree__ship[data-vessel-id]").filter(function (ship) {
+        return normalizeGuid(ship.getAttribute("data-vessel-id")).toLowerCase() === id;
+      })[0] || null;
+    }
+
+    function findLinerByOwnerId(root, ownerId) {
+      var id = normalizeGuid(ownerId).toLowerCase();
+      if (!id) return null;
+      return qsa(root, "details.browse-tree__liner[data-owner-id]").filter(function (liner) {
+        return normalizeGuid(liner.getAttribute("data-owner-id")).toLowerCase() === id;
+      })[0] || null;
+    }
+
+    function focusSummary(detailsEl) {
+      var sum = getSummary(detailsEl);
+      if (!sum) return;
+      try {
+        if (typeof sum.scrollIntoView === "function") sum.scrollIntoView({ block: "start" });
+        sum.focus({ preventScroll: true });
+      } catch (e) {
+        logger.warn("focusSummary failed", { error: e && e.message });
+      }
+    }
+
+    // Open liners/ships + focused node, so a rebuild (period change, cache
+    // revalidation) can put the user back where they were.
+    function captureTreeState(tree) {
+      var state = { liners: [], vessels: [], focusVessel: "", focusLiner: "" };
+      if (!tree) return state;
+
+      function linerName(l) {
+        return textOf(qs(l, ".browse-tree__label")) || textOf(getSummary(l));
+      }
+
+      state.liners = qsa(tree, "details.browse-tree__liner[open]").map(linerName);
+      state.vessels = qsa(tree, "details.browse-tree__ship[open][data-vessel-id]").map(function (sh) {
+        return sh.getAttribute("data-vessel-id");
+      });
+
+      var active = document.activeElement;
+      var node = active && tree.contains(active) ? active.closest("details.browse-tree__ship, details.browse-tree__liner") : null;
+      if (node && node.classList.contains("browse-tree__ship")) state.focusVessel = node.getAttribute("data-vessel-id") || "";
+      else if (node) state.focusLiner = linerName(node);
+
+      return state;
+    }
+
+    function restoreTreeState(tree, state) {
+      if (!tree || !state) return;
+
+      var focusTarget = null;
+      qsa(tree, "details.browse-tree__liner").forEach(function (liner) {
+        var name = summaryLabelText(getSummary(liner));
+        if (state.liners.indexOf(name) !== -1 && isVisible(liner)) liner.open = true;
+        if (state.focusLiner && name === state.focusLiner) focusTarget = liner;
+      });
+      state.vessels.forEach(function (id) {
+        var ship = findShipByVesselId(tree, id);
+        if (!ship || !isVisible(ship)) return;
+        // Re-render only: don't pull focus into the ship content
+        ship.setAttribute("data-suppress-focus", "1");
+        ship.open = true;
+      });
+      if (state.focusVessel) focusTarget = findShipByVesselId(tree, state.focusVessel) || focusTarget;
+
+      var sum = focusTarget && isVisible(focusTarget) ? getSummary(focusTarget) : null;
+      if (sum) {
+        try { sum.focus({ preventScroll: true }); } catch (e) {}
+      }
+    }
+
+    // Called once the vessels tree has been rebuilt. Opening the ship fires its
+    // native toggle handler, which triggers the lazy history load.
+    function applyUrlStateToTree(tree) {
+      var state = readUrlState();
+      if (!tree || (!state.vessel && !state.liner)) return false;
+
+      var ship = state.vessel ? findShipByVesselId(tree, state.vessel) : null;
+      var liner = ship ? ship.closest("details.browse-tree__liner") : findLinerByOwnerId(tree, state.liner);
+
+      if (!ship && !liner) {
+        logger.warn("Deep link target not found", { vessel: state.vessel, liner: state.liner });
+        return false;
+      }
+      if ((ship && !isVisible(ship)) || (liner && !isVisible(liner))) {
+        logger.warn("Deep link target hidden by search filter", { vessel: state.vessel, liner: state.liner });
+        return false;
+      }
+
+      if (liner) liner.open = true;
+      if (ship && !ship.open) {
+        // Focus stays on the ship's summary, not its history once loaded
+        ship.setAttribute("data-suppress-focus", "1");
+        ship.open = true;
+      }
+      focusSummary(ship || liner);
+
+      logger.info("Deep link applied", { vessel: state.vessel || null, liner: state.liner || null });
+      return true;
+    }
+
+    // =========================================================
+    // Setup ships & liners (idempotent: mark nodes bound)
+    // =========================================================
+    // Renders the loading row, then the history (or an error row with Retry).
+    // opts.focus: move focus to the ship content when done (default on expand).
+    function loadShipHistory(ship, opts) {
+      var o = opts || {};
+      var shipLabel = summaryLabelText(getSummary(ship)) || "(ship)";
+      var vesselId = ship.getAttribute("data-vessel-id") || "";
+      var detailsWrap = ship.querySelector(":scope > .ship-details") || ship.querySelector(".ship-details");
+
+      renderLoadingRow(detailsWrap);
+
+      return loadInspectionHistoryForVessel(vesselId).then(function (r) {
+        if (r && r.error) {
+          renderHistoryErrorRow(detailsWrap, r.error, function () {
+            // Focus is already on the history heading (see renderHistoryErrorRow);
+            // leave it there while the ship reloads
+            loadShipHistory(ship);
+          });
+          // No history to rate: don't leave a previous period's badge behind
+          setSummaryRatingBadge(getSummary(ship), null);
+          logger.warn("Inspection history error rendered", {
+            ship: shipLabel, vesselId: normalizeGuid(vesselId), kind: r.error.kind
+          });
+          if (o.focus) focusShipContent(detailsWrap, shipLabel);
+          return r;
+        }
+
+        var rows = (r && r.rows) ? r.rows : [];
+        renderHistoryIntoShip(detailsWrap, withTypeText(rows), getRating());
+        setSummaryRatingBadge(getSummary(ship), rows.length ? rows[0].score : null);
+        logger.debug("Inspection history rendered", {
+          ship: shipLabel,
+          vesselId: normalizeGuid(vesselId),
+          rows: (r && r.rows) ? r.rows.length : 0
+        });
+
+        if (o.focus) focusShipContent(detailsWrap, shipLabel);
+        return r;
+      });
+    }
+
+    function setupShips() {
+      qsa(els.tree, "details.browse-tree__ship").forEach(function (ship) {
+        if (ship.getAttribute("data-ship-bound") === "1") return;
+        ship.setAttribute("data-ship-bound", "1");
+
+        var sum = getSummary(ship);
+        var shipLabel = summaryLabelText(sum) || "(ship)";
+
+        ensureRegionSemantics(ship);
+        setRegionsTabbable(ship, ship.open);
+
+        ship.addEventListener("toggle", function () {
+          if (__destroyed) return;
+          logger.debug("TOGGLE ship", { ship: shipLabel, open: ship.open });
+          ensureRegionSemantics(ship);
+
+          var vesselId = ship.getAttribute("data-vessel-id") || "";
+
+          if (!ship.open) {
+            setRegionsTabbable(ship, false);
+            ship.removeAttribute("data-bulk-toggle");
+            if (vesselId && readUrlState().vessel.toLowerCase() === normalizeGuid(vesselId).toLowerCase()) {
+              writeUrlState({ vessel: "" });
+            }
+            return;
+          }
+
+          setRegionsTabbable(ship, true);
+          // Bulk expand opens many ships at once; none of them is "the" deep-linked one
+          var bulk = ship.getAttribute("data-bulk-toggle") === "1";
+          ship.removeAttribute("data-bulk-toggle");
+          if (vesselId && !bulk) writeUrlState({ vessel: normalizeGuid(vesselId) });
+
+          // Programmatic re-opens (e.g. period change) must not move focus
+          var suppressFocus = ship.getAttribute("data-suppress-focus") === "1";
+          ship.removeAttribute("data-suppress-focus");
+
+          loadShipHistory(ship, { focus: !suppressFocus });
+        });
+
+        if (sum) {
+          sum.addEventListener("focus", function () {
+            logger.debug("FOCUS ship summary", { ship: shipLabel, open: ship.open });
+          });
+        }
+      });
+
+      logger.debug("Ships initialized", { count: qsa(els.tree, "details.browse-tree__ship").length });
+    }
+
+    function setupLiners() {
+      qsa(els.tree, "details.browse-tree__liner").forEach(function (liner) {
+        if (liner.getAttribute("data-liner-bound") === "1") return;
+        liner.setAttribute("data-liner-bound", "1");
+
+        var sum = getSummary(liner);
+        var linerLabel = textOf(sum) || "(liner)";
+
+        liner.addEventListener("toggle", function () {
+          if (__destroyed) return;
+          logger.debug("TOGGLE liner", { liner: linerLabel, open: liner.open });
+
+          var ownerId = liner.getAttribute("data-owner-id") || "";
+
+          if (!liner.open) {
+            qsa(liner, "details.browse-tree__ship").forEach(function (ship) {
+              ship.open = false;
+              setRegionsTabbable(ship, false);
+            });
+            liner.removeAttribute("data-bulk-toggle");
+            if (ownerId && readUrlState().liner.toLowerCase() === normalizeGuid(ownerId).toLowerCase()) {
+              writeUrlState({ liner: "" });
+            }
+            return;
+          }
+
+          // While a search is active, liners open automatically — only the query is state
+          var bulk = liner.getAttribute("data-bulk-toggle") === "1";
+          liner.removeAttribute("data-bulk-toggle");
+          if (ownerId && !bulk && !readUrlState().query) writeUrlState({ liner: normalizeGuid(ownerId) });
+
+          prefetchHistoriesForLiner(liner);
+        });
+      });
+
+      logger.debug("Liners initialized", { count: qsa(els.tree, "details.browse-tree__liner").length });
+    }
+
+    // =========================================================
+    // Look-back period (years of inspection history shown)
+    //
+    // Default: data-lookback-years on #shipScoresText or #browseTree
+    // (e.g. rendered from a site setting), else DEFAULT_LOOKBACK_YEARS.
+    // "0" / "all" = all available inspections.
+    // =========================================================
+    var PERIOD_SELECT_ID = domId("linerPeriod");
+
+    function parseLookbackYears(v) {
+      var s = String(v === null || v === undefined ? "" : v).trim().toLowerCase();
+      if (!s) return null;
+      if (s === "all" || s === "0") return 0;
+      var n = parseInt(s, 10);
+      return (isFinite(n) && n > 0) ? n : null;
+    }
+
+    function getLookbackYears() {
+      if (__LookbackYears !== null) return __LookbackYears;
+
+      var sources = [els.texts, els.tree];
+      for (var i = 0; i < sources.length; i++) {
+        var y = sources[i] ? parseLookbackYears(sources[i].getAttribute("data-lookback-years")) : null;
+        if (y !== null) {
+          __LookbackYears = y;
+          return y;
+        }
+      }
+
+      __LookbackYears = DEFAULT_LOOKBACK_YEARS;
+      return __LookbackYears;
+    }
+
+    function periodOptionLabel(years) {
+      var ui = getShipScoresText();
+      if (!(years > 0)) return ui.periodAll;
+      if (years === 1) return ui.periodOneYear;
+      return String(ui.periodYearsTemplate).replace(/\{\{\s*years\s*\}\}/gi, String(years));
+    }
+
+    // Changing the period re-queries vessels, drops cached histories and
+    // re-opens the liners/ships that were open so their histories re-render.
+    function setLookbackYears(value) {
+      var years = parseLookbackYears(value);
+      if (years === null || years === getLookbackYears()) return;
+
+      var tree = els.tree;
+      var state = captureTreeState(tree);
+
+      __LookbackYears = years;
+      __InspectionCache = Object.create(null);
+      cancelQueuedHistoryBatches();
+      logger.info("Look-back period changed", { years: years || "all", reopen: state.vessels.length });
+
+      var select = document.getElementById(PERIOD_SELECT_ID);
+      if (select && select.value !== String(years)) select.value = String(years);
+
+      loadLinersAndShipsFromVessels(function (ok) {
+        if (ok) restoreTreeState(tree, state);
+      });
+    }
+
+    function renderPeriodSelector() {
+      var input = els.search;
+      if (!input || document.getElementById(PERIOD_SELECT_ID)) return;
+
+      var current = getLookbackYears();
+      var options = LOOKBACK_OPTIONS.slice();
+      if (options.indexOf(current) === -1) options.push(current);
+      options.sort(function (a, b) {
+        // "All" (0) last
+        return (a || Number.MAX_VALUE) - (b || Number.MAX_VALUE);
+      });
+
+      var label = document.createElement("label");
+      label.className = "control-label browse-period__label";
+      label.setAttribute("for", PERIOD_SELECT_ID);
+      label.textContent = getShipScoresText().periodLabel;
+
+      var select = document.createElement("select");
+      select.id = PERIOD_SELECT_ID;
+      select.className = "form-control browse-period__select";
+
+      options.forEach(function (y) {
+        var opt = document.createElement("option");
+        opt.value = String(y);
+        opt.textContent = periodOptionLabel(y);
+        opt.selected = y === current;
+        select.appendChild(opt);
+      });
+
+      select.addEventListener("change", function () { setLookbackYears(select.value); });
+
+      var host = input.parentNode;
+      host.insertBefore(select, input.nextSibling);
+      host.insertBefore(label, select);
+
+      logger.debug("Period selector rendered", { years: current || "all" });
+    }
+
+    // =========================================================
+    // Weight-class facet (checkboxes next to #linerSearch)
+    //
+    // Built from the distinct data-vessel-weight values in the tree, so it
+    // always reflects what the vessels query returned. Selection survives
+    // rebuilds; an empty selection means "all weights".
+    // =========================================================
+    var WEIGHT_FACET_ID = domId("linerWeightFilter");
+
+    function weightSortKey(label) {
+      var m = String(label || "").replace(/[\s,]/g, "").match(/\d+/);
+      return m ? parseInt(m[0], 10) : Number.MAX_VALUE;
+    }
+
+    function getSelectedWeightClasses() {
+      return qsa(document, "#" + WEIGHT_FACET_ID + ' input[type="checkbox"]:checked').map(function (cb) {
+        return cb.value;
+      });
+    }
+
+    function renderWeightFacet(tree) {
+      var input = els.search;
+      if (!tree || !input) return;
+
+      var seen = Object.create(null);
+      qsa(tree, "details.browse-tree__ship[data-vessel-weight]").forEach(function (ship) {
+        var w = (ship.getAttribute("data-vessel-weight") || "").trim();
+        if (w) seen[w] = true;
+      });
+      var weights = Object.keys(seen).sort(function (a, b) {
+        return (weightSortKey(a) - weightSortKey(b)) || a.localeCompare(b, localeSortLocale());
+      });
+
+      var selected = getSelectedWeightClasses();
+      var facet = document.getElementById(WEIGHT_FACET_ID);
+
+      if (weights.length < 2) {
+        if (facet) facet.parentNode.removeChild(facet);
+        return;
+      }
+
+      if (!facet) {
+        facet = document.createElement("fieldset");
+        facet.id = WEIGHT_FACET_ID;
+        facet.className = "browse-filter";
+
+        var legend = document.createElement("legend");
+        legend.className = "browse-filter__legend";
+        legend.textContent = getShipScoresText().vesselWeightLabel;
+        facet.appendChild(legend);
+
+        var list = document.createElement("div");
+        list.className = "browse-filter__options";
+        facet.appendChild(list);
+
+        facet.addEventListener("change", reapplyFilter);
+
+        var status = els.status;
+        var host = input.parentNode;
+        host.insertBefore(facet, status && status.parentNode === host ? status : input.nextSibling);
+      }
+
+      var options = qs(facet, ".browse-filter__options");
+      options.innerHTML = "";
+
+      weights.forEach(function (w, i) {
+        var id = WEIGHT_FACET_ID + "_" + i;
+        var label = document.createElement("label");
+        label.className = "browse-filter__option";
+        label.setAttribute("for", id);
+
+        var cb = document.createElement("input");
+        cb.type = "checkbox";
+        cb.id = id;
+        cb.value = w;
+        cb.checked = selected.indexOf(w) !== -1;
+
+        label.appendChild(cb);
+        label.appendChild(document.createTextNode(" " + w));
+        options.appendChild(label);
+      });
+
+      logger.debug("Weight facet rendered", { classes: weights.length, selected: getSelectedWeightClasses().length });
+    }
+
+    // =========================================================
+    // Sort modes (cruise lines and ships within each line)
+    //
+    // Keys come from the vessels query expansion (data-latest-score /
+    // data-latest-date on each ship), so no node has to be expanded.
+    // A line sorts by its ships: lowest-first uses its worst latest score,
+    // highest-first its best, date its most recent inspection. Missing
+    // values go last; ties fall back to the name.
+    // =========================================================
+    var SORT_SELECT_ID = domId("linerSort");
+    var SORT_MODES = ["name", "score-asc", "score-desc", "date"];
+    var __SortMode = "name";
+
+    function sortModeLabel(mode) {
+      var ui = getShipScoresText();
+      return {
+        "name": ui.sortName,
+        "score-asc": ui.sortScoreAsc,
+        "score-desc": ui.sortScoreDesc,
+        "date": ui.sortDate
+      }[mode] || ui.sortName;
+    }
+
+    function shipSortKey(ship) {
+      var score = parseFloat(ship.getAttribute("data-latest-score"));
+      return {
+        name: ship.getAttribute("data-ship-name") || summaryLabelText(getSummary(ship)),
+        score: isFinite(score) ? score : null,
+        date: ship.getAttribute("data-latest-date") || null
+      };
+    }
+
+    function linerSortKey(liner, mode) {
+      var key = { name: summaryLabelText(getSummary(liner)), score: null, date: null };
+      qsa(liner, "details.browse-tree__ship").forEach(function (ship) {
+        var k = shipSortKey(ship);
+        if (k.score !== null) {
+          if (key.score === null) key.score = k.score;
+          else key.score = mode === "score-asc" ? Math.min(key.score, k.score) : Math.max(key.score, k.score);
+        }
+        if (k.date && (!key.date || k.date > key.date)) key.date = k.date;
+      });
+      return key;
+    }
+
+    // dir: 1 ascending, -1 descending; null always last
+    function compareMissingLast(x, y, dir) {
+      if (x === null && y === null) return 0;
+      if (x === null) return 1;
+      if (y === null) return -1;
+      return x < y ? -dir : (x > y ? dir : 0);
+    }
+
+    function compareSortKeys(mode, a, b, locale) {
+      var c = 0;
+      if (mode === "score-asc") c = compareMissingLast(a.score, b.score, 1);
+      else if (mode === "score-desc") c = compareMissingLast(a.score, b.score, -1);
+      else if (mode === "date") c = compareMissingLast(a.date, b.date, -1);
+      return c || a.name.localeCompare(b.name, locale, { sensitivity: "base" });
+    }
+
+    // Reorders nodes in place: open state travels with the nodes, focus is restored
+    function applySortOrder(tree) {
+      if (!tree) return;
+      var mode = __SortMode;
+      var locale = localeSortLocale();
+      var active = document.activeElement;
+      var focused = (active && active !== tree && tree.contains(active)) ? active : null;
+
+      function reorder(parent, nodes, keyOf) {
+        nodes
+          .map(function (n) { return { node: n, key: keyOf(n) }; })
+          .sort(function (a, b) { return compareSortKeys(mode, a.key, b.key, locale); })
+          .forEach(function (x) { parent.appendChild(x.node); });
+      }
+
+      var liners = qsa(tree, ":scope > details.browse-tree__liner");
+      reorder(tree, liners, function (l) { return linerSortKey(l, mode); });
+
+      liners.forEach(function (liner) {
+        var ships = qsa(liner, "details.browse-tree__ship");
+        if (ships.length > 1) reorder(ships[0].parentNode, ships, shipSortKey);
+      });
+
+      if (focused && document.activeElement !== focused) {
+        try { focused.focus({ preventScroll: true }); } catch (e) {}
+      }
+      logger.debug("Sort applied", { mode: mode, liners: liners.length });
+    }
+
+    function setSortMode(mode) {
+      if (SORT_MODES.indexOf(mode) === -1 || mode === __SortMode) return;
+      __SortMode = mode;
+
+      var select = document.getElementById(SORT_SELECT_ID);
+      if (select && select.value !== mode) select.value = mode;
+
+      applySortOrder(els.tree);
+
+      if (els.status) {
+        els.status.textContent = String(getShipScoresText().sortStatusTemplate)
+          .replace(/\{\{\s*sort\s*\}\}/gi, sortModeLabel(mode));
+      }
+      logger.info("Sort mode changed", { mode: mode });
+    }
+
+    function renderSortSelector() {
+      var input = els.search;
+      if (!input || document.getElementById(SORT_SELECT_ID)) return;
+
+      var label = document.createElement("label");
+      label.className = "control-label browse-sort__label";
+      label.setAttribute("for", SORT_SELECT_ID);
+      label.textContent = getShipScoresText().sortLabel;
+
+      var select = document.createElement("select");
+      select.id = SORT_SELECT_ID;
+      select.className = "form-control browse-sort__select";
+
+      SORT_MODES.forEach(function (mode) {
+        var opt = document.createElement("option");
+        opt.value = mode;
+        opt.textContent = sortModeLabel(mode);
+        opt.selected = mode === __SortMode;
+        select.appendChild(opt);
+      });
+
+      select.addEventListener("change", function () { setSortMode(select.value); });
+
+      // After the period selector when present, else after the search input
+      var host = input.parentNode;
+      var after = document.getElementById(PERIOD_SELECT_ID) || input;
+      host.insertBefore(select, after.nextSibling);
+      host.insertBefore(label, select);
+
+      logger.debug("Sort selector rendered", { mode: __SortMode });
+    }
+
+    // =========================================================
+    // Table view (flat alternative to the tree)
+    //
+    // One row per vessel, read from the ship nodes' data attributes, so it
+    // always matches the tree: rows are the ships the current filter
+    // (query + weight facet) leaves visible. The tree stays in the DOM,
+    // hidden, and keeps driving search, sort state and deep links.
+    // =========================================================
+    var VIEW_TOGGLE_ID = domId("linerViewToggle");
+    var TABLE_VIEW_ID = domId("browseTable");
+    var __ViewMode = "tree";
+    var __TableSort = { column: "line", dir: 1 };
+
+    function tableColumns() {
+      var ui = getShipScoresText();
+      return [
+        { key: "line", label: ui.cruiseLineLabel, type: "text" },
+        { key: "vessel", label: ui.vesselLabel, type: "text" },
+        { key: "weight", label: ui.vesselWeightLabel, type: "weight" },
+        { key: "date", label: ui.latestDateLabel, hint: ui.dateFormatHint, type: "text" },
+        { key: "score", label: ui.latestScoreLabel, type: "number" },
+        { key: "count", label: ui.inspectionCountLabel, type: "number" },
+        // Selection without expanding each ship (not sortable)
+        { key: "compare", label: ui.compareLabel, type: "compare" }
+      ];
+    }
+
+    // Ships left visible by applyFilter (display:none is how the filter hides nodes)
+    function filteredShipRows(tree) {
+      var rows = [];
+      qsa(tree, "details.browse-tree__liner").forEach(function (liner) {
+        if (liner.style.display === "none") return;
+        var line = summaryLabelText(getSummary(liner));
+        qsa(liner, "details.browse-tree__ship").forEach(function (ship) {
+          if (ship.style.display === "none") return;
+          var score = parseFloat(ship.getAttribute("data-latest-score"));
+          var count = parseInt(ship.getAttribute("data-inspection-count"), 10);
+          rows.push({
+            ship: ship,
+            line: line,
+            vessel: ship.getAttribute("data-ship-name") || summaryLabelText(getSummary(ship)),
+            weight: ship.getAttribute("data-vessel-weight") || "",
+            date: ship.getAttribute("data-latest-date") || "",
+            score: isFinite(score) ? score : null,
+            count: isFinite(count) ? count : null
+          });
+        });
+      });
+      return rows;
+    }
+
+    function compareTableRows(col, dir, a, b, locale) {
+      var x = a[col.key];
+      var y = b[col.key];
+      var c;
+      if (col.type === "number") c = compareMissingLast(x, y, dir);
+      else if (col.type === "weight") c = compareMissingLast(x ? weightSortKey(x) : null, y ? weightSortKey(y) : null, dir);
+      else if (!x || !y) c = compareMissingLast(x || null, y || null, dir);
+      else c = dir * x.localeCompare(y, locale, { sensitivity: "base" });
+      return c ||
+        a.line.localeCompare(b.line, locale, { sensitivity: "base" }) ||
+        a.vessel.localeCompare(b.vessel, locale, { sensitivity: "base" });
+    }
+
+    // Opens the vessel in the tree; the ship toggle handler focuses its history
+    function showShipInTree(ship) {
+      setViewMode("tree");
+      var liner = ship.closest("details.browse-tree__liner");
+      if (liner) liner.open = true;
+      if (ship.open) focusShipContent(ship.querySelector(".ship-details"), summaryLabelText(getSummary(ship)));
+      else ship.open = true;
+    }
+
+    function renderTableView() {
+      var wrap = document.getElementById(TABLE_VIEW_ID);
+      if (!wrap || __ViewMode !== "table") return;
+
+      var ui = getShipScoresText();
+      var cols = tableColumns();
+      var locale = localeSortLocale();
+      var sortCol = cols.filter(function (c) { return c.key === __TableSort.column; })[0] || cols[0];
+      var rows = filteredShipRows(els.tree).sort(function (a, b) {
+        return compareTableRows(sortCol, __TableSort.dir, a, b, locale);
+      });
+
+      var table = document.createElement("table");
+      table.className = "browse-table__table table table-striped table-hover";
+
+      var caption = document.createElement("caption");
+      caption.className = "browse-table__caption";
+      caption.textContent = ui.tableViewCaption + " (" + rows.length + ")";
+      table.appendChild(caption);
+
+      var thead = document.createElement("thead");
+      var htr = document.createElement("tr");
+      cols.forEach(function (col) {
+        var th = document.createElement("th");
+        th.scope = "col";
+        if (col.type === "compare") {
+          th.textContent = col.label;
+          htr.appendChild(th);
+          return;
+        }
+        var active = col.key === sortCol.key;
+        th.setAttribute("aria-sort", active ? (__TableSort.dir > 0 ? "ascending" : "descending") : "none");
+
+        // Button inside the header: the sort control, named by the column label
+        var btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "browse-table__sort";
+        btn.setAttribute("data-column", col.key);
+        btn.textContent = col.label;
+        if (col.hint) {
+          var hint = document.createElement("span");
+          hint.textContent = " (" + col.hint + ")";
+          btn.appendChild(hint);
+        }
+        var arrow = document.createElement("span");
+        arrow.className = "browse-table__sort-icon";
+        arrow.setAttribute("aria-hidden", "true");
+        arrow.textContent = active ? (__TableSort.dir > 0 ? " \u25B2" : " \u25BC") : "";
+        btn.appendChild(arrow);
+
+        th.appendChild(btn);
+        htr.appendChild(th);
+      });
+      thead.appendChild(htr);
+      table.appendChild(thead);
+
+      var tbody = document.createElement("tbody");
+      rows.forEach(function (r) {
+        var tr = document.createElement("tr");
+        cols.forEach(function (col) {
+          var cell = document.createElement(col.key === "vessel" ? "th" : "td");
+          if (col.key === "vessel") {
+            cell.scope = "row";
+            var a = document.createElement("a");
+            a.href = "#" + r.ship.id;
+            a.textContent = r.vessel;
+            a.addEventListener("click", function (e) {
+              e.preventDefault();
+              showShipInTree(r.ship);
+            });
+            cell.appendChild(a);
+          } else if (col.key === "score") {
+            cell.textContent = r.score === null ? "" : formatScore(r.score);
+          } else if (col.type === "compare") {
+            var vesselId = r.ship.getAttribute("data-vessel-id") || "";
+            if (vesselId) {
+              var label = document.createElement("label");
+              label.appendChild(buildCompareInput(vesselId, function () { return r.ship; }));
+              var name = document.createElement("span");
+              name.className = "wb-inv";
+              name.textContent = col.label + " " + r.vessel;
+              label.appendChild(name);
+              cell.appendChild(label);
+            }
+          } else {
+            cell.textContent = (r[col.key] === null || r[col.key] === undefined) ? "" : String(r[col.key]);
+          }
+          tr.appendChild(cell);
+        });
+        tbody.appendChild(tr);
+      });
+      table.appendChild(tbody);
+
+      wrap.innerHTML = "";
+      wrap.appendChild(table);
+    }
+
+    function setTableSort(columnKey) {
+      if (__TableSort.column === columnKey) __TableSort.dir = -__TableSort.dir;
+      else __TableSort = { column: columnKey, dir: 1 };
+
+      renderTableView();
+
+      // Re-render replaced the header button; keep focus on it
+      var wrap = document.getElementById(TABLE_VIEW_ID);
+      var btn = wrap ? qs(wrap, '.browse-table__sort[data-column="' + columnKey + '"]') : null;
+      if (btn) btn.focus();
+
+      var ui = getShipScoresText();
+      var col = tableColumns().filter(function (c) { return c.key === columnKey; })[0];
+      if (els.status && col) {
+        els.status.textContent = String(ui.tableSortStatusTemplate)
+          .replace(/\{\{\s*column\s*\}\}/gi, col.label)
+          .replace(/\{\{\s*direction\s*\}\}/gi, __TableSort.dir > 0 ? ui.sortAscending : ui.sortDescending);
+      }
+      logger.debug("Table sorted", { column: columnKey, dir: __TableSort.dir });
+    }
+
+    function setViewMode(mode) {
+      var next = mode === "table" ? "table" : "tree";
+      if (next === __ViewMode) return;
+      __ViewMode = next;
+
+      var toggle = document.getElementById(VIEW_TOGGLE_ID);
+      if (toggle) toggle.setAttribute("aria-pressed", next === "table" ? "true" : "false");
+
+      var wrap = document.getElementById(TABLE_VIEW_ID);
+      if (next === "table" && !wrap && els.tree && els.tree.parentNode) {
+        wrap = document.createElement("div");
+        wrap.id = TABLE_VIEW_ID;
+        wrap.className = "browse-table table-responsive";
+        wrap.addEventListener("click", function (e) {
+          var btn = e.target && e.target.closest ? e.target.closest(".browse-table__sort") : null;
+          if (btn) setTableSort(btn.getAttribute("data-column"));
+        });
+        els.tree.parentNode.insertBefore(wrap, els.tree.nextSibling);
+      }
+
+      if (els.tree) els.tree.hidden = next === "table";
+      if (wrap) wrap.hidden = next !== "table";
+      renderTableView();
+
+      logger.info("View mode changed", { mode: next });
+    }
+
+    function renderViewToggle() {
+      var input = els.search;
+      if (!input || document.getElementById(VIEW_TOGGLE_ID)) return;
+
+      var btn = document.createElement("button");
+      btn.type = "button";
+      btn.id = VIEW_TOGGLE_ID;
+      btn.className = "btn btn-default browse-view__toggle";
+      btn.setAttribute("aria-pressed", __ViewMode === "table" ? "true" : "false");
+      btn.textContent = getShipScoresText().tableViewLabel;
+      btn.addEventListener("click", function () {
+        setViewMode(__ViewMode === "table" ? "tree" : "table");
+      });
+
+      var status = els.status;
+      var host = input.parentNode;
+      host.insertBefore(btn, status && status.parentNode === host ? status : input.nextSibling);
+    }
+
+    // =========================================================
+    // Export (CSV / JSON) of the currently filtered results
+    //
+    // Covers the ships applyFilter leaves visible (same rows as the table
+    // view), one line per inspection. Histories come from __InspectionCache;
+    // missing ones are fetched first through the batch queue, with a
+    // progress bar. CSV is UTF-8 with a BOM so Excel opens accents correctly.
+    // =========================================================
+    var EXPORT_GROUP_ID = domId("linerExport");
+    var __exportRunning = false;
+
+    function scoreNumber(formatted) {
+      var n = parseFloat(formatted);
+      return isFinite(n) ? n : null;
+    }
+
+    // Quotes every field; a leading = + - @ tab or CR is neutralized so
+    // spreadsheets never evaluate a vessel name as a formula
+    function csvField(v) {
+      var str = (v === null || v === undefined) ? "" : String(v);
+      if (typeof v !== "number" && /^[=+\-@\t\r]/.test(str)) str = "'" + str;
+      return '"' + str.replace(/"/g, '""') + '"';
+    }
+
+    function downloadFile(fileName, mime, content) {
+      var blob = new Blob([content], { type: mime });
+      var url = URL.createObjectURL(blob);
+      var a = document.createElement("a");
+      a.href = url;
+      a.download = fileName;
+      a.hidden = true;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+    }
+
+    // Resolves [{ row, history }] once every history is loaded; onProgress(done, total)
+    function collectExportData(onProgress) {
+      var rows = filteredShipRows(els.tree);
+      var ids = rows.map(function (r) { return r.ship.getAttribute("data-vessel-id") || ""; });
+      var done = 0;
+
+      onProgress(0, rows.length);
+      return loadHistoriesInChunks(ids, null, function () {
+        onProgress(++done, rows.length);
+      }).then(function (results) {
+        return rows.map(function (r, i) { return { row: r, history: results[i] }; });
+      });
+    }
+
+    function buildExportCsv(items) {
+      var ui = getShipScoresText();
+      var lines = [[
+        ui.cruiseLineLabel, ui.vesselLabel, ui.vesselWeightLabel,
+        ui.dateOfInspectionLabel + " (" + ui.dateFormatHint + ")", ui.scoreObtainedLabel, ui.inspectionTypeLabel
+      ].map(csvField).join(",")];
+
+      items.forEach(function (it) {
+        var r = it.row;
+        var history = (it.history && it.history.rows) || [];
+        if (!history.length) {
+          lines.push([r.line, r.vessel, r.weight, "", "", ""].map(csvField).join(","));
+          return;
+        }
+        history.forEach(function (h) {
+          lines.push([r.line, r.vessel, r.weight, h.date, scoreNumber(h.score), inspectionTypeText(h)].map(csvField).join(","));
+        });
+      });
+
+      return { text: "\uFEFF" + lines.join("\r\n") + "\r\n", rows: lines.length - 1 };
+    }
+
+    function buildExportJson(items) {
+      var byLine = [];
+      var lineIndex = Object.create(null);
+      var rows = 0;
+
+      items.forEach(function (it) {
+        var r = it.row;
+        var liner = r.ship.closest("details.browse-tree__liner");
+        if (!(r.line in lineIndex)) {
+          lineIndex[r.line] = byLine.length;
+          byLine.push({
+            cruiseLine: r.line,
+            ownerId: (liner && liner.getAttribute("data-owner-id")) || null,
+            vessels: []
+          });
+        }
+
+        var inspections = ((it.history && it.history.rows) || []).map(function (h) {
+          rows++;
+          return { date: h.date, score: scoreNumber(h.score), type: inspectionTypeText(h) || null };
+        });
+
+        byLine[lineIndex[r.line]].vessels.push({
+          vessel: r.vessel,
+          vesselId: r.ship.getAttribute("data-vessel-id") || null,
+          weight: r.weight || null,
+          inspections: inspections
+        });
+      });
+
+      var payload = {
+        generated: new Date().toISOString(),
+        lookbackYears: getLookbackYears() || null,
+        query: els.search ? els.search.value : "",
+        weights: getSelectedWeightClasses(),
+        cruiseLines: byLine
+      };
+      return { text: JSON.stringify(payload, null, 2), rows: rows };
+    }
+
+    function runExport(format) {
+      if (__exportRunning) return;
+      var group = document.getElementById(EXPORT_GROUP_ID);
+      if (!group) return;
+
+      var ui = getShipScoresText();
+      var buttons = qsa(group, "button");
+      var progress = qs(group, "progress");
+      var progressText = qs(group, ".browse-export__progress-text");
+
+      __exportRunning = true;
+      buttons.forEach(function (b) { b.disabled = true; });
+      group.setAttribute("aria-busy", "true");
+
+      function setProgress(done, total) {
+        var text = String(ui.exportProgressTemplate)
+          .replace(/\{\{\s*done\s*\}\}/gi, String(done))
+          .replace(/\{\{\s*total\s*\}\}/gi, String(total));
+        progress.max = Math.max(total, 1);
+        progress.value = done;
+        progress.hidden = false;
+        progressText.textContent = text;
+        // Start + end only: per-vessel updates would flood the live region
+        if (els.status && (done === 0 || done === total)) els.status.textContent = text;
+      }
+
+      function finish(message) {
+        __exportRunning = false;
+        buttons.forEach(function (b) { b.disabled = false; });
+        group.removeAttribute("aria-busy");
+        progress.hidden = true;
+        progressText.textContent = message;
+        if (els.status) els.status.textContent = message;
+      }
+
+      collectExportData(setProgress)
+        .then(function (items) {
+          if (__destroyed) return;
+          var failed = items.filter(function (it) { return it.history && it.history.error; });
+          if (failed.length) {
+            logger.warn("Export aborted: histories failed", { failed: failed.length });
+            finish(ui.exportError);
+            return;
+          }
+
+          var out = format === "json" ? buildExportJson(items) : buildExportCsv(items);
+          var stamp = new Date().toISOString().slice(0, 10);
+          downloadFile(
+            ui.exportFileName + "-" + stamp + "." + format,
+            format === "json" ? "application/json;charset=utf-8" : "text/csv;charset=utf-8",
+            out.text
+          );
+          logger.info("Export generated", { format: format, vessels: items.length, rows: out.rows });
+          finish(String(ui.exportDoneTemplate).replace(/\{\{\s*rows\s*\}\}/gi, String(out.rows)));
+        })
+        .catch(function (err) {
+          logger.error("Export failed", { error: err && err.message });
+          finish(ui.exportError);
+        });
+    }
+
+    function renderExportControls() {
+      var input = els.search;
+      if (!input || document.getElementById(EXPORT_GROUP_ID)) return;
+
+      var ui = getShipScoresText();
+      var group = document.createElement("div");
+      group.id = EXPORT_GROUP_ID;
+      group.className = "browse-export";
+      group.setAttribute("role", "group");
+      group.setAttribute("aria-labelledby", EXPORT_GROUP_ID + "_label");
+
+      var label = document.createElement("span");
+      label.id = EXPORT_GROUP_ID + "_label";
+      label.className = "browse-export__label";
+      label.textContent = ui.exportLabel;
+      group.appendChild(label);
+
+      [["csv", ui.exportCsvLabel], ["json", ui.exportJsonLabel]].forEach(function (f) {
+        var btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn btn-default browse-export__button";
+        btn.textContent = f[1];
+        btn.addEventListener("click", function () { runExport(f[0]); });
+        group.appendChild(btn);
+      });
+
+      var progress = document.createElement("progress");
+      progress.className = "browse-export__progress";
+      progress.hidden = true;
+      progress.setAttribute("aria-labelledby", EXPORT_GROUP_ID + "_label");
+      group.appendChild(progress);
+
+      var text = document.createElement("span");
+      text.className = "browse-export__progress-text";
+      group.appendChild(text);
+
+      var status = els.status;
+      var host = input.parentNode;
+      host.insertBefore(group, status && status.parentNode === host ? status : input.nextSibling);
+    }
+
+    // =========================================================
+    // Expand / collapse all
+    //
+    // Acts on what applyFilter leaves visible: every shown cruise line, or
+    // every ship in the current result. Bulk-expanded ships open with
+    // data-suppress-focus (focus stays on the button) as their histories are
+    // requested through loadHistoriesInChunks, so 200 ships never means 200
+    // requests in flight.
+    // Nodes opened in bulk carry data-bulk-toggle so ?line / ?vessel are not
+    // rewritten for each of them.
+    // =========================================================
+    var BULK_GROUP_ID = domId("linerBulk");
+    // Live-region updates while loading: at most one per interval
+    var BULK_PROGRESS_MS = 3000;
+    var __bulkRunning = false;
+
+    function visibleLiners() {
+      return qsa(els.tree, "details.browse-tree__liner").filter(function (liner) {
+        return liner.style.display !== "none";
+      });
+    }
+
+    function countText(tpl, count) {
+      return String(tpl).replace(/\{\{\s*count\s*\}\}/gi, String(count));
+    }
+
+    function announceBulk(text) {
+      if (els.status) els.status.textContent = text;
+    }
+
+    function setBulkBusy(busy) {
+      var group = document.getElementById(BULK_GROUP_ID);
+      __bulkRunning = busy;
+      if (!group) return;
+      qsa(group, "button").forEach(function (b) { b.disabled = busy; });
+      if (busy) group.setAttribute("aria-busy", "true");
+      else group.removeAttribute("aria-busy");
+    }
+
+    function openInBulk(node) {
+      if (node.open) return;
+      node.setAttribute("data-bulk-toggle", "1");
+      node.open = true;
+    }
+
+    function expandAllLiners() {
+      var liners = visibleLiners();
+      liners.forEach(openInBulk);
+      announceBulk(countText(getShipScoresText().linersExpandedTemplate, liners.length));
+      logger.info("Bulk expand: cruise lines", { count: liners.length });
+    }
+
+    function collapseAllLiners() {
+      var liners = visibleLiners().filter(function (liner) { return liner.open; });
+      liners.forEach(function (liner) { liner.open = false; });
+      announceBulk(countText(getShipScoresText().linersCollapsedTemplate, liners.length));
+      logger.info("Bulk collapse: cruise lines", { count: liners.length });
+    }
+
+    function collapseAllShips() {
+      var ships = filteredShipRows(els.tree).map(function (r) { return r.ship; }).filter(function (ship) {
+        return ship.open;
+      });
+      ships.forEach(function (ship) {
+        ship.open = false;
+        setRegionsTabbable(ship, false);
+      });
+      announceBulk(countText(getShipScoresText().shipsCollapsedTemplate, ships.length));
+      logger.info("Bulk collapse: ships", { count: ships.length });
+    }
+
+    function expandAllShips() {
+      if (__bulkRunning) return;
+      var ui = getShipScoresText();
+      var ships = filteredShipRows(els.tree).map(function (r) { return r.ship; });
+      var total = ships.length;
+      var done = 0;
+      var failed = 0;
+      var lastAnnounced = 0;
+
+      function progress() {
+        var now = Date.now();
+        if (done !== 0 && done !== total && now - lastAnnounced < BULK_PROGRESS_MS) return;
+        lastAnnounced = now;
+        announceBulk(String(ui.shipsProgressTemplate)
+          .replace(/\{\{\s*done\s*\}\}/gi, String(done))
+          .replace(/\{\{\s*total\s*\}\}/gi, String(total)));
+      }
+
+      setBulkBusy(true);
+      ships.forEach(function (ship) {
+        var liner = ship.closest("details.browse-tree__liner");
+        if (liner) openInBulk(liner);
+      });
+
+      progress();
+
+      var ids = ships.map(function (ship) { return ship.getAttribute("data-vessel-id") || ""; });
+      loadHistoriesInChunks(ids, function (i) {
+        // Opened once requested, so the toggle handler reuses the pending load
+        var ship = ships[i];
+        if (ship.open) return;
+        ship.setAttribute("data-suppress-focus", "1");
+        openInBulk(ship);
+      }, function (i, r) {
+        if (r && r.error) failed++;
+        done++;
+        progress();
+      })
+        .catch(function (err) {
+          logger.error("Bulk expand failed", { error: err && err.message });
+        })
+        .then(function () {
+          if (__destroyed) return;
+          setBulkBusy(false);
+          var msg = countText(ui.shipsExpandedTemplate, total);
+          if (failed) msg += " " + countText(ui.shipsFailedTemplate, failed);
+          announceBulk(msg);
+          logger.info("Bulk expand: ships", { count: total, failed: failed });
+        });
+    }
+
+    function renderBulkControls() {
+      var input = els.search;
+      if (!input || document.getElementById(BULK_GROUP_ID)) return;
+
+      var ui = getShipScoresText();
+      var group = document.createElement("div");
+      group.id = BULK_GROUP_ID;
+      group.className = "browse-bulk";
+      group.setAttribute("role", "group");
+      group.setAttribute("aria-labelledby", BULK_GROUP_ID + "_label");
+
+      var label = document.createElement("span");
+      label.id = BULK_GROUP_ID + "_label";
+      label.className = "browse-bulk__label";
+      label.textContent = ui.bulkLabel;
+      group.appendChild(label);
+
+      [
+        [ui.expandLinersLabel, expandAllLiners],
+        [ui.collapseLinersLabel, collapseAllLiners],
+        [ui.expandShipsLabel, expandAllShips],
+        [ui.collapseShipsLabel, collapseAllShips]
+      ].forEach(function (b) {
+        var btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn btn-default browse-bulk__button";
+        btn.textContent = b[0];
+        btn.addEventListener("click", function () {
+          if (!__bulkRunning) b[1]();
+        });
+        group.appendChild(btn);
+      });
+
+      var status = els.status;
+      var host = input.parentNode;
+      host.insertBefore(group, status && status.parentNode === host ? status : input.nextSibling);
+    }
+
+    // =========================================================
+    // Vessel comparison (up to COMPARE_MAX ships side by side)
+    //
+    // Each ship node gets a "Compare" checkbox at the top of its content
+    // (never inside <summary>), and the table view has a Compare column so
+    // ships can be picked without opening each one. Selected ships are listed
+    // in a panel above the tree with cruise line, weight and inspections
+    // aligned by year; histories come from loadInspectionHistoryForVessel.
+    // Selection survives reloads.
+    // =========================================================
+    var COMPARE_MAX = 4;
+    var COMPARE_PANEL_ID = domId("linerCompare");
+
+    // [{ vesselId, name, line, weight, result?: {rows, error?}, pending? }]
+    var __Compare = [];
+
+    function compareIndex(vesselId) {
+      var id = normalizeGuid(vesselId).toLowerCase();
+      for (var i = 0; i < __Compare.length; i++) {
+        if (__Compare[i].vesselId.toLowerCase() === id) return i;
+      }
+      return -1;
+    }
+
+    function compareText(tpl, entry) {
+      return String(tpl)
+        .replace(/\{\{\s*ship\s*\}\}/gi, entry ? entry.name : "")
+        .replace(/\{\{\s*count\s*\}\}/gi, String(__Compare.length))
+        .replace(/\{\{\s*max\s*\}\}/gi, String(COMPARE_MAX));
+    }
+
+    function announceCompare(text) {
+      if (els.status) els.status.textContent = text;
+    }
+
+    // Tree content + table view
+    function syncCompareCheckboxes() {
+      [els.tree, document.getElementById(TABLE_VIEW_ID)].forEach(function (root) {
+        qsa(root, "input.ship-details__compare-input[data-vessel-id]").forEach(function (cb) {
+          cb.checked = compareIndex(cb.getAttribute("data-vessel-id")) !== -1;
+        });
+      });
+    }
+
+    // Returns false (and announces why) when the cap is reached
+    function addToComparison(ship) {
+      var vesselId = ship.getAttribute("data-vessel-id") || "";
+      if (!vesselId || compareIndex(vesselId) !== -1) return true;
+
+      var ui = getShipScoresText();
+      if (__Compare.length >= COMPARE_MAX) {
+        announceCompare(compareText(ui.compareLimitTemplate));
+        return false;
+      }
+
+      var liner = ship.closest("details.browse-tree__liner");
+      var entry = {
+        vesselId: normalizeGuid(vesselId),
+        name: ship.getAttribute("data-ship-name") || "",
+        line: liner ? summaryLabelText(getSummary(liner)) : "",
+        weight: ship.getAttribute("data-vessel-weight") || ""
+      };
+      __Compare.push(entry);
+
+      syncCompareCheckboxes();
+      renderComparePanel();
+      announceCompare(compareText(ui.compareAddedTemplate, entry));
+      return true;
+    }
+
+    function removeFromComparison(vesselId) {
+      var i = compareIndex(vesselId);
+      if (i === -1) return;
+      var entry = __Compare.splice(i, 1)[0];
+
+      syncCompareCheckboxes();
+      renderComparePanel();
+      announceCompare(compareText(getShipScoresText().compareRemovedTemplate, entry));
+    }
+
+    // Panel is hidden once empty; land on the search box (or the tree)
+    function focusAfterComparisonEmptied() {
+      var target = els.search || getSummary(qs(els.tree, "details.browse-tree__liner"));
+      if (target) target.focus();
+    }
+
+    function clearComparison() {
+      if (!__Compare.length) return;
+      __Compare = [];
+      syncCompareCheckboxes();
+      renderComparePanel();
+      announceCompare(getShipScoresText().compareCleared);
+    }
+
+    // Histories are per look-back period: drop results so the panel refetches
+    function resetComparisonHistories() {
+      __Compare.forEach(function (e) {
+        e.result = null;
+        e.pending = false;
+      });
+      renderComparePanel();
+    }
+
+    function loadComparisonHistories() {
+      __Compare.forEach(function (entry) {
+        if (entry.result || entry.pending) return;
+        entry.pending = true;
+
+        loadInspectionHistoryForVessel(entry.vesselId).then(function (res) {
+          entry.pending = false;
+          entry.result = res || { rows: [] };
+          if (!__destroyed && __Compare.indexOf(entry) !== -1) renderComparePanel();
+        });
+      });
+    }
+
+    // year -> ["2025-05-01: 97/100", ...] for one vessel
+    function historyByYear(rows) {
+      var sep = isFrench() ? " : " : ": ";
+      var out = Object.create(null);
+      (rows || []).forEach(function (r) {
+        var year = String(r.date || "").slice(0, 4);
+        if (!year) return;
+        (out[year] = out[year] || []).push(r.date + sep + r.score);
+      });
+      return out;
+    }
+
+    function compareCell(tag, text, scope) {
+      var c = document.createElement(tag);
+      if (scope) c.setAttribute("scope", scope);
+      if (text !== undefined) c.textContent = text;
+      return c;
+    }
+
+    function buildCompareTable(ui) {
+      var fr = isFrench();
+      var table = document.createElement("table");
+      table.className = "table table-striped browse-compare__table";
+
+      var caption = document.createElement("caption");
+      caption.className = "wb-inv";
+      caption.textContent = ui.comparePanelTitle;
+      table.appendChild(caption);
+
+      var thead = document.createElement("thead");
+      var headRow = document.createElement("tr");
+      headRow.appendChild(compareCell("td"));
+      __Compare.forEach(function (entry) {
+        var th = compareCell("th", undefined, "col");
+        var name = document.createElement("span");
+        name.className = "browse-compare__ship";
+        name.textContent = entry.name;
+        th.appendChild(name);
+
+        var btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn btn-link btn-xs browse-compare__remove";
+        btn.setAttribute("data-vessel-id", entry.vesselId);
+        btn.textContent = ui.compareRemoveLabel;
+        var hidden = document.createElement("span");
+        hidden.className = "wb-inv";
+        hidden.textContent = " " + entry.name;
+        btn.appendChild(hidden);
+        btn.addEventListener("click", function () {
+          removeFromComparison(entry.vesselId);
+          if (!__Compare.length) focusAfterComparisonEmptied();
+        });
+        th.appendChild(btn);
+
+        headRow.appendChild(th);
+      });
+      thead.appendChild(headRow);
+      table.appendChild(thead);
+
+      var tbody = document.createElement("tbody");
+      function addRow(label, cells) {
+        var tr = document.createElement("tr");
+        tr.appendChild(compareCell("th", label, "row"));
+        cells.forEach(function (c) { tr.appendChild(c); });
+        tbody.appendChild(tr);
+      }
+
+      addRow(ui.cruiseLineLabel, __Compare.map(function (e) { return compareCell("td", e.line); }));
+      addRow(ui.vesselWeightLabel, __Compare.map(function (e) { return compareCell("td", e.weight); }));
+
+      // Inspections aligned by year (newest first), one row per year any ship has
+      var byYear = __Compare.map(function (e) { return e.result ? historyByYear(e.result.rows) : null; });
+      var years = [];
+      byYear.forEach(function (m) {
+        Object.keys(m || {}).forEach(function (y) { if (years.indexOf(y) === -1) years.push(y); });
+      });
+      years.sort().reverse();
+
+      if (!years.length) {
+        addRow(ui.vesselHistoryTitle, __Compare.map(function () { return compareCell("td"); }));
+      }
+
+      years.forEach(function (year) {
+        addRow(ui.compareYearLabel + " " + year, __Compare.map(function () { return compareCell("td"); }));
+      });
+
+      // Fill the history cells (loading / error / per-year list)
+      var historyRows = qsa(tbody, "tr").slice(2);
+      __Compare.forEach(function (entry, col) {
+        var status = null;
+        if (!entry.result) status = fr ? "Chargement..." : "Loading...";
+        else if (entry.result.error) status = fr ? "Impossible de charger l'historique d'inspection." : "Unable to load inspection history.";
+        else if (!entry.result.rows.length) status = fr ? "Aucun historique d'inspection trouvé." : "No inspection history found.";
+
+        historyRows.forEach(function (tr, i) {
+          var td = tr.children[col + 1];
+          if (status) {
+            if (i === 0) td.textContent = status;
+            return;
+          }
+          var list = byYear[col][years[i]] || [];
+          list.forEach(function (text, j) {
+            if (j) td.appendChild(document.createElement("br"));
+            td.appendChild(document.createTextNode(text));
+          });
+          if (!list.length) td.textContent = "\u2014";
+        });
+      });
+
+      table.appendChild(tbody);
+      return table;
+    }
+
+    function renderComparePanel() {
+      var tree = els.tree;
+      var panel = document.getElementById(COMPARE_PANEL_ID);
+      if (!__Compare.length) {
+        if (panel) panel.hidden = true;
+        return;
+      }
+
+      var ui = getShipScoresText();
+      if (!panel) {
+        panel = document.createElement("section");
+        panel.id = COMPARE_PANEL_ID;
+        panel.className = "browse-compare";
+        panel.setAttribute("role", "region");
+        panel.setAttribute("aria-labelledby", COMPARE_PANEL_ID + "_title");
+        tree.parentNode.insertBefore(panel, tree);
+      }
+
+      // Keep focus on the same control across re-renders
+      var active = document.activeElement;
+      var focusVessel = active && panel.contains(active) ? active.getAttribute("data-vessel-id") : null;
+      var focusClear = active && panel.contains(active) && active.classList.contains("browse-compare__clear");
+
+      panel.innerHTML = "";
+      panel.hidden = false;
+
+      var title = document.createElement("h" + Math.min(HEADING_LEVEL, 6));
+      title.id = COMPARE_PANEL_ID + "_title";
+      title.className = "browse-compare__title";
+      title.textContent = ui.comparePanelTitle;
+      panel.appendChild(title);
+
+      var count = document.createElement("p");
+      count.className = "browse-compare__count";
+      count.textContent = compareText(ui.compareCountTemplate);
+      panel.appendChild(count);
+
+      var clear = document.createElement("button");
+      clear.type = "button";
+      clear.className = "btn btn-default browse-compare__clear";
+      clear.textContent = ui.compareClearLabel;
+      clear.addEventListener("click", function () {
+        clearComparison();
+        focusAfterComparisonEmptied();
+      });
+      panel.appendChild(clear);
+
+      var wrap = document.createElement("div");
+      wrap.className = "table-responsive";
+      wrap.appendChild(buildCompareTable(ui));
+      panel.appendChild(wrap);
+
+      if (focusClear) clear.focus();
+      else if (focusVessel) {
+        var again = qs(panel, '.browse-compare__remove[data-vessel-id="' + focusVessel + '"]');
+        // Removed ship: fall back to the next remove button, then Clear
+        (again || qs(panel, ".browse-compare__remove") || clear).focus();
+      }
+
+      loadComparisonHistories();
+    }
+
+    // shipOf(): the ship node the checkbox stands for
+    function buildCompareInput(vesselId, shipOf) {
+      var cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.className = "ship-details__compare-input";
+      cb.setAttribute("data-vessel-id", normalizeGuid(vesselId));
+      cb.checked = compareIndex(vesselId) !== -1;
+
+      cb.addEventListener("change", function () {
+        var ship = shipOf();
+        if (!ship) return;
+        if (cb.checked) {
+          if (!addToComparison(ship)) cb.checked = false;
+        } else {
+          removeFromComparison(vesselId);
+        }
+      });
+      return cb;
+    }
+
+    // Checkbox block prepended to a ship's details content
+    function buildCompareControl(shipName, vesselId) {
+      var ui = getShipScoresText();
+      var wrap = document.createElement("div");
+      wrap.className = "checkbox ship-details__compare";
+
+      var label = document.createElement("label");
+      var cb = buildCompareInput(vesselId, function () {
+        return cb.closest("details.browse-tree__ship");
+      });
+
+      var hidden = document.createElement("span");
+      hidden.className = "wb-inv";
+      hidden.textContent = " " + shipName;
+
+      label.appendChild(cb);
+      label.appendChild(document.createTextNode(" " + ui.compareLabel));
+      label.appendChild(hidden);
+      wrap.appendChild(label);
+      return wrap;
+    }
+
+    // =========================================================
+    // Cruise line statistics (in each liner summary, after the heading)
+    //
+    // Computed from the ships' data-latest-score / data-latest-date, i.e. the
+    // incidents the vessels query expands for the current look-back period,
+    // so they are rebuilt with the nodes whenever the period changes.
+    // =========================================================
+    function linerStats(liner) {
+      var stats = { ships: 0, mean: null, min: null, date: "" };
+      var total = 0;
+      var scored = 0;
+
+      qsa(liner, "details.browse-tree__ship").forEach(function (ship) {
+        stats.ships++;
+        var k = shipSortKey(ship);
+        if (k.score !== null) {
+          total += k.score;
+          scored++;
+          stats.min = stats.min === null ? k.score : Math.min(stats.min, k.score);
+        }
+        if (k.date && k.date > stats.date) stats.date = k.date;
+      });
+
+      if (scored) stats.mean = Math.round((total / scored) * 10) / 10;
+      return stats;
+    }
+
+    function renderLinerStats(tree) {
+      var ui = getShipScoresText();
+      var locale = localeSortLocale();
+
+      qsa(tree, "details.browse-tree__liner").forEach(function (liner) {
+        var sum = getSummary(liner);
+        if (!sum) return;
+
+        var stats = linerStats(liner);
+        var el = qs(sum, ".browse-tree__stats");
+        if (!el) {
+          el = document.createElement("span");
+          el.className = "browse-tree__stats";
+          sum.appendChild(el);
+        }
+
+        var text = String(ui.linerStatsTemplate)
+          .replace(/\{\{\s*ships\s*\}\}/gi, String(stats.ships))
+          .replace(/\{\{\s*mean\s*\}\}/gi, stats.mean === null ? ui.linerStatsNone : stats.mean.toLocaleString(locale))
+          .replace(/\{\{\s*min\s*\}\}/gi, stats.min === null ? ui.linerStatsNone : String(stats.min))
+          .replace(/\{\{\s*date\s*\}\}/gi, stats.date || ui.linerStatsNone);
+
+        // Hidden separator so the summary's accessible name doesn't run the heading into the stats
+        el.innerHTML = "";
+        var sep = document.createElement("span");
+        sep.className = "wb-inv";
+        sep.textContent = ", ";
+        el.appendChild(sep);
+        el.appendChild(document.createTextNode(text));
+      });
+    }
+
+    // =========================================================
+    // Recent inspections (fleet-wide panel above the tree)
+    //
+    // The N newest scored inspections from the data source's own
+    // listRecentInspections query (same criteria as the history queries, no
+    // vessel constraint). Ship / cruise line names come from the rendered tree;
+    // entries for vessels not in it (inactive vessels, a single-line embed)
+    // are skipped, so the query over-fetches (x4 per round, at most
+    // RECENT_FETCH_MAX) until N entries are in the tree or the source runs out.
+    // Each entry links to its ship: the liner and ship open and take focus.
+    // =========================================================
+    var RECENT_PANEL_ID = domId("linerRecent");
+    // One Dataverse page (ODATA_PAGE_SIZE)
+    var RECENT_FETCH_MAX = 500;
+    // years -> Promise (kept until the period / data source changes)
+    var __RecentCache = Object.create(null);
+    var __recentSeq = 0;
+
+    function recentCount() {
+      var n = parseInt(getShipScoresText().recentCount, 10);
+      return isFinite(n) && n > 0 ? Math.min(n, 50) : 0;
+    }
+
+    function ensureRecentPanel() {
+      var panel = document.getElementById(RECENT_PANEL_ID);
+      if (panel) return panel;
+
+      var ui = getShipScoresText();
+      panel = document.createElement("section");
+      panel.id = RECENT_PANEL_ID;
+      panel.className = "browse-recent";
+      panel.setAttribute("role", "region");
+      panel.setAttribute("aria-labelledby", RECENT_PANEL_ID + "_title");
+
+      var title = document.createElement("h" + Math.min(HEADING_LEVEL, 6));
+      title.id = RECENT_PANEL_ID + "_title";
+      title.className = "browse-recent__title";
+      title.textContent = ui.recentTitle;
+      panel.appendChild(title);
+
+      var body = document.createElement("div");
+      body.className = "browse-recent__body";
+      panel.appendChild(body);
+
+      els.tree.parentNode.insertBefore(panel, els.tree);
+      return panel;
+    }
+
+    // Clears search + weight filters (and says so) if they hide the ship, then opens it
+    function revealShipInTree(ship) {
+      var liner = ship.closest("details.browse-tree__liner");
+      var hidden = ship.style.display === "none" || (liner && liner.style.display === "none");
+      if (hidden) {
+        if (els.search) els.search.value = "";
+        var facet = document.getElementById(WEIGHT_FACET_ID);
+        qsa(facet, "input[type=checkbox]").forEach(function (cb) { cb.checked = false; });
+        reapplyFilter();
+      }
+      showShipInTree(ship);
+      if (hidden && els.status) {
+        els.status.textContent = String(getShipScoresText().recentFiltersClearedTemplate)
+          .replace(/\{\{\s*ship\s*\}\}/gi, ship.getAttribute("data-ship-name") || summaryLabelText(getSummary(ship)));
+      }
+    }
+
+    function recentEntriesInTree(items) {
+      return items.map(function (it) {
+        return { item: it, ship: findShipByVesselId(els.tree, it.vesselId) };
+      }).filter(function (e) { return !!e.ship; });
+    }
+
+    // Resolves the newest items, enough of them that `top` are in the tree when possible
+    function fetchRecentForTree(source, years, top) {
+      function round(n) {
+        return Promise.resolve(source.listRecentInspections({ years: years, top: n })).then(function (items) {
+          items = items || [];
+          if (recentEntriesInTree(items).length >= top || items.length < n || n >= RECENT_FETCH_MAX) return items;
+          logger.debug("Recent inspections: over-fetching to fill the list", { fetched: items.length, next: n * 4 });
+          return round(Math.min(n * 4, RECENT_FETCH_MAX));
+        });
+      }
+      return round(top);
+    }
+
+    function renderRecentList(body, items, top) {
+      var ui = getShipScoresText();
+      var rating = getRating();
+      body.innerHTML = "";
+
+      var entries = recentEntriesInTree(items).slice(0, top);
+
+      if (!entries.length) {
+        var none = document.createElement("p");
+        none.textContent = ui.recentEmpty;
+        body.appendChild(none);
+        return;
+      }
+
+      var ol = document.createElement("ol");
+      ol.className = "browse-recent__list";
+      entries.forEach(function (e) {
+        var li = document.createElement("li");
+        var liner = e.ship.closest("details.browse-tree__liner");
+
+        var a = document.createElement("a");
+        a.href = "#" + e.ship.id;
+        a.textContent = e.ship.getAttribute("data-ship-name") || summaryLabelText(getSummary(e.ship));
+        a.addEventListener("click", function (ev) {
+          ev.preventDefault();
+          revealShipInTree(e.ship);
+        });
+        li.appendChild(a);
+
+        var score = formatScore(e.item.score);
+        li.appendChild(document.createTextNode(
+          ", " + (liner ? summaryLabelText(getSummary(liner)) : "") +
+          ", " + dateOnly(e.item.date) +
+          (score ? ", " + score : "")
+        ));
+
+        var band = ratingForScore(e.item.score, rating);
+        if (band) {
+          var badge = document.createElement("span");
+          badge.className = ratingClassName(band);
+          badge.textContent = band.label;
+          li.appendChild(document.createTextNode(" "));
+          li.appendChild(badge);
+        }
+        ol.appendChild(li);
+      });
+      body.appendChild(ol);
+    }
+
+    function loadRecentInspections() {
+      var source = getDataSource();
+      var top = recentCount();
+      var existing = document.getElementById(RECENT_PANEL_ID);
+      if (!top || !source || typeof source.listRecentInspections !== "function") {
+        if (existing && existing.parentNode) existing.parentNode.removeChild(existing);
+        return;
+      }
+
+      var years = getLookbackYears();
+      var seq = ++__recentSeq;
+      var ui = getShipScoresText();
+      var body = qs(ensureRecentPanel(), ".browse-recent__body");
+
+      var p = __RecentCache[years];
+      if (!p) {
+        body.innerHTML = "";
+        var loading = document.createElement("p");
+        loading.textContent = ui.recentLoading;
+        body.appendChild(loading);
+
+        p = __RecentCache[years] = fetchRecentForTree(source, years, top);
+        p.catch(function () { delete __RecentCache[years]; });
+      }
+
+      p.then(function (items) {
+        if (seq !== __recentSeq || __destroyed) return;
+        renderRecentList(body, items || [], top);
+        logger.debug("Recent inspections rendered", { count: (items || []).length });
+      }).catch(function (err) {
+        if (seq !== __recentSeq || __destroyed) return;
+        var info = loadErrorOf(err);
+        logger.warn("Recent inspections load failed", { kind: info.kind, status: info.status });
+
+        body.innerHTML = "";
+        var msg = document.createElement("p");
+        msg.className = "browse-recent__error text-danger";
+        msg.id = RECENT_PANEL_ID + "_error";
+        msg.textContent = ui.recentError + loadErrorReason(info);
+        body.appendChild(msg);
+
+        var btn = retryButton("browse-recent__retry", msg.id);
+        btn.addEventListener("click", function () {
+          loadRecentInspections();
+          var t = qs(document.getElementById(RECENT_PANEL_ID), ".browse-recent__title");
+          if (t) {
+            t.setAttribute("tabindex", "-1");
+            t.focus();
+          }
+        });
+        body.appendChild(btn);
+      });
+    }
+
+    // =========================================================
+    // Search combobox (ARIA 1.2, list autocomplete)
+    //
+    // Suggestions of matching cruise lines and ships (type shown on each)
+    // under the search input. Arrow keys move aria-activedescendant, Enter or
+    // click jumps to the node (liner open, ship expanded, summary focused),
+    // Escape closes the list first and clears the query on a second press.
+    // Typing still filters the tree through applyFilter.
+    // =========================================================
+    var SUGGEST_LIST_ID = domId("linerSearchSuggestions");
+    var SUGGEST_MAX = 10;
+    var __suggest = { items: [], active: -1 };
+
+    function suggestionsOpen() {
+      var list = document.getElementById(SUGGEST_LIST_ID);
+      return !!list && !list.hidden;
+    }
+
+    // [{ node, kind: "liner" | "ship", name, line }] in tree order
+    function computeSuggestions(raw) {
+      var criteria = parseSearchQuery(raw);
+      var tokens = criteria.terms.concat(criteria.line, criteria.ship);
+      if (!tokens.length) return [];
+
+      var weights = getSelectedWeightClasses();
+      function weightOk(ship) {
+        return !weights.length || weights.indexOf(ship.getAttribute("data-vessel-weight") || "") !== -1;
+      }
+
+      var out = [];
+      qsa(els.tree, "details.browse-tree__liner").forEach(function (liner) {
+        var lineName = summaryLabelText(getSummary(liner));
+        var lineFolded = foldSearchText(lineName).text;
+        var ships = qsa(liner, "details.browse-tree__ship").filter(weightOk);
+        if (!ships.length) return;
+
+        if (matchesAllTokens(lineFolded, tokens)) out.push({ node: liner, kind: "liner", name: lineName, line: "" });
+
+        ships.forEach(function (ship) {
+          var name = ship.getAttribute("data-ship-name") || summaryLabelText(getSummary(ship));
+          var folded = foldSearchText(name).text;
+          // The ship's own name must match something, or a cruise line hit would list its whole fleet
+          var own = tokens.some(function (t) { return folded.indexOf(t) !== -1; });
+          if (own && matchesAllTokens(lineFolded + " " + folded, tokens)) {
+            out.push({ node: ship, kind: "ship", name: name, line: lineName });
+          }
+        });
+      });
+      return out.slice(0, SUGGEST_MAX);
+    }
+
+    function setActiveSuggestion(index) {
+      var input = els.search;
+      var list = document.getElementById(SUGGEST_LIST_ID);
+      if (!list) return;
+
+      __suggest.active = index;
+      qsa(list, "[role=option]").forEach(function (opt, i) {
+        var on = i === index;
+        opt.setAttribute("aria-selected", on ? "true" : "false");
+        opt.classList.toggle("is-active", on);
+        if (on && typeof opt.scrollIntoView === "function") opt.scrollIntoView({ block: "nearest" });
+      });
+
+      if (index >= 0) input.setAttribute("aria-activedescendant", SUGGEST_LIST_ID + "_opt" + index);
+      else input.removeAttribute("aria-activedescendant");
+    }
+
+    function closeSuggestions() {
+      var list = document.getElementById(SUGGEST_LIST_ID);
+      if (list) list.hidden = true;
+      if (els.search) els.search.setAttribute("aria-expanded", "false");
+      setActiveSuggestion(-1);
+    }
+
+    function renderSuggestions(raw) {
+      var input = els.search;
+      var list = document.getElementById(SUGGEST_LIST_ID);
+      if (!list) return;
+
+      var ui = getShipScoresText();
+      var criteria = parseSearchQuery(raw);
+      var tokens = criteria.terms.concat(criteria.line, criteria.ship);
+      __suggest.items = computeSuggestions(raw);
+      __suggest.active = -1;
+      list.innerHTML = "";
+
+      __suggest.items.forEach(function (item, i) {
+        var li = document.createElement("li");
+        li.id = SUGGEST_LIST_ID + "_opt" + i;
+        li.className = "browse-suggest__option";
+        li.setAttribute("role", "option");
+        li.setAttribute("aria-selected", "false");
+
+        var name = document.createElement("span");
+        name.className = "browse-suggest__name";
+        name.textContent = item.name;
+        highlightLabel(name, tokens);
+        li.appendChild(name);
+
+        var type = document.createElement("span");
+        type.className = "browse-suggest__type";
+        type.textContent = " (" + (item.kind === "liner" ? ui.cruiseLineLabel : ui.vesselLabel + ", " + item.line) + ")";
+        li.appendChild(type);
+
+        // mousedown: keep focus in the input so blur doesn't close the list first
+        li.addEventListener("mousedown", function (e) { e.preventDefault(); });
+        li.addEventListener("click", function () { selectSuggestion(i); });
+        list.appendChild(li);
+      });
+
+      var open = __suggest.items.length > 0;
+      list.hidden = !open;
+      input.setAttribute("aria-expanded", open ? "true" : "false");
+      input.removeAttribute("aria-activedescendant");
+    }
+
+    // Jumps to the chosen node; the query becomes its name so the tree shows it
+    function selectSuggestion(index) {
+      var item = __suggest.items[index];
+      if (!item) return;
+      closeSuggestions();
+
+      setViewMode("tree");
+      els.search.value = item.name;
+      reapplyFilter();
+
+      var liner = item.kind === "ship" ? item.node.closest("details.browse-tree__liner") : item.node;
+      if (liner) liner.open = true;
+      if (item.kind === "ship" && !item.node.open) {
+        // Summary gets focus below; don't let the toggle handler move it into the content
+        item.node.setAttribute("data-suppress-focus", "1");
+        item.node.open = true;
+      }
+      focusSummary(item.node);
+      logger.debug("Search suggestion selected", { kind: item.kind, name: item.name });
     }
 
-    function linerEls() { return qsa(tree, "details.browse-tree__liner"); }
-    function shipEls(liner) { return qsa(liner, "details.browse-tree__ship"); }
+    function setupSearchCombobox() {
+      var input = els.search;
+      if (!input || document.getElementById(SUGGEST_LIST_ID)) return;
 
-    function readStatusStrings() {
-      var i18n = document.getElementById("shipScores_i18n");
-      var node = i18n || status;
-      return {
-        loading: node.getAttribute("data-status-loading") || "",
-        empty: node.getAttribute("data-status-empty") || "",
-        template: node.getAttribute("data-status-template") || "",
-        none: node.getAttribute("data-status-none") || "",
-        cleared: node.getAttribute("data-status-cleared") || ""
-      };
+      var ui = getShipScoresText();
+      var list = document.createElement("ul");
+      list.id = SUGGEST_LIST_ID;
+      list.className = "browse-suggest list-unstyled";
+      list.setAttribute("role", "listbox");
+      list.setAttribute("aria-label", ui.suggestionsLabel);
+      list.hidden = true;
+      input.parentNode.insertBefore(list, input.nextSibling);
+
+      input.setAttribute("role", "combobox");
+      input.setAttribute("aria-autocomplete", "list");
+      input.setAttribute("aria-expanded", "false");
+      input.setAttribute("aria-controls", SUGGEST_LIST_ID);
+
+      listen(input, "input", function () { renderSuggestions(input.value); });
+      listen(input, "focusout", closeSuggestions);
+
+      // Registered before setupSearch's handler so Escape can close the list first
+      listen(input, "keydown", function (e) {
+        var count = __suggest.items.length;
+        var open = suggestionsOpen();
+
+        switch (e.key) {
+          case "ArrowDown":
+          case "ArrowUp":
+            if (!open) {
+              renderSuggestions(input.value);
+              if (!__suggest.items.length) return;
+              if (e.altKey) {
+                e.preventDefault();
+                return;
+              }
+              count = __suggest.items.length;
+            } else if (e.altKey && e.key === "ArrowUp") {
+              closeSuggestions();
+              e.preventDefault();
+              return;
+            }
+            e.preventDefault();
+            var step = e.key === "ArrowDown" ? 1 : -1;
+            var next = __suggest.active === -1
+              ? (step > 0 ? 0 : count - 1)
+              : (__suggest.active + step + count) % count;
+            setActiveSuggestion(next);
+            break;
+          case "Enter":
+            if (open && __suggest.active !== -1) {
+              e.preventDefault();
+              selectSuggestion(__suggest.active);
+            }
+            break;
+          case "Escape":
+            if (open) {
+              e.preventDefault();
+              e.stopImmediatePropagation();
+              closeSuggestions();
+            }
+            break;
+          case "Tab":
+            closeSuggestions();
+            break;
+        }
+      });
     }
 
-    function formatTemplate(tpl, liners, ships) {
-      return String(tpl || "")
-        .replace(/\{\{\s*liners\s*\}\}/gi, String(liners))
-        .replace(/\{\{\s*ships\s*\}\}/gi, String(ships));
+    // =========================================================
+    // Structured search: predicates + inline error
+    //
+    // Score / year predicates run on the cached history when the ship's has
+    // been loaded, else on the latest inspection from the vessels query. With
+    // a year criterion, one inspection must satisfy the year and score parts
+    // together ("score<86 year:2024"), so histories are prefetched and the
+    // filter re-applied if any of them arrived. Only ships that already pass
+    // the name / line / weight parts are prefetched, through the batch queue;
+    // batches still queued are cancelled when the query changes.
+    // =========================================================
+    var SEARCH_ERROR_ID = domId("linerSearchError");
+    // { raw, cache, jobs, tried, cancelled } of the current year: prefetch;
+    // failed loads aren't retried until the query changes
+    var __yearPrefetch = null;
+
+    // [{ year, score }] newest first
+    function shipInspections(ship) {
+      var id = normalizeGuid(ship.getAttribute("data-vessel-id") || "");
+      var c = id ? __InspectionCache[id] : null;
+      if (c && c.loaded) {
+        return (c.rows || []).map(function (r) {
+          return { year: parseInt(String(r.date).slice(0, 4), 10), score: parseFloat(r.score) };
+        });
+      }
+      var date = ship.getAttribute("data-latest-date") || "";
+      var score = ship.getAttribute("data-latest-score");
+      if (!date && (score === null || score === "")) return [];
+      return [{ year: date ? parseInt(date.slice(0, 4), 10) : null, score: score === null ? null : parseFloat(score) }];
     }
 
-    function setLoadingStatus() {
-      var s = readStatusStrings();
-      if (s.loading) status.textContent = s.loading;
+    function shipMatchesWeight(ship, c) {
+      if (!c.weight.length) return true;
+      var range = weightClassRange(ship.getAttribute("data-vessel-weight"));
+      return !!range && c.weight.every(function (w) { return range[0] <= w.max && range[1] >= w.min; });
     }
 
-    function setEmptyStatus() {
-      var s = readStatusStrings();
-      status.textContent = s.empty || s.none || "";
+    function shipMatchesPredicates(ship, c) {
+      if (!shipMatchesWeight(ship, c)) return false;
+      if (!c.score.length && !c.year.length) return true;
+
+      var insp = shipInspections(ship);
+      if (!c.year.length) {
+        // Latest score only
+        return insp.length > 0 && c.score.every(function (p) { return testNumberPredicate(insp[0].score, p); });
+      }
+      return insp.some(function (i) {
+        return c.year.every(function (p) { return testNumberPredicate(i.year, p); }) &&
+          c.score.every(function (p) { return testNumberPredicate(i.score, p); });
+      });
     }
 
-    function setStatusText(q, matchedLiners, matchedShips) {
-      var s = readStatusStrings();
-      var hasAnyData = (__ShipScoresData.loaded && (__ShipScoresData.totalLiners > 0 || __ShipScoresData.totalShips > 0));
+    function cancelYearPrefetch() {
+      var run = __yearPrefetch;
+      if (!run) return;
+      __yearPrefetch = null;
+      run.cancelled = true;
+      cancelHistoryBatches(run.jobs);
+    }
 
-      if (__ShipScoresData.loaded && !hasAnyData) {
-        setEmptyStatus();
-        return;
+    // candidateIds: ships passing the non-history parts of the query
+    function prefetchForYearCriteria(raw, candidateIds) {
+      if (!__yearPrefetch || __yearPrefetch.raw !== raw || __yearPrefetch.cache !== __InspectionCache) {
+        cancelYearPrefetch();
+        __yearPrefetch = { raw: raw, cache: __InspectionCache, jobs: [], tried: Object.create(null), cancelled: false };
       }
-      if (!q) {
-        status.textContent = s.cleared || "";
+      var run = __yearPrefetch;
+
+      // The re-filter below calls back in here: each ship is tried once per query
+      var ids = candidateIds.filter(function (id) {
+        var c = __InspectionCache[id];
+        if (run.tried[id] || (c && c.loaded)) return false;
+        run.tried[id] = true;
+        return true;
+      });
+      if (!ids.length) return;
+
+      run.jobs = run.jobs.concat(prefetchInspectionHistories(ids));
+
+      var loaded = 0;
+      loadHistoriesInChunks(ids, null, function (i, r) {
+        if (r && !r.error) loaded++;
+      }, function () { return run.cancelled; }).then(function () {
+        // Only if something new arrived and the user hasn't moved on to another query meanwhile
+        if (run.cancelled) return;
+        if (!loaded) {
+          logger.warn("Year search: no inspection histories could be loaded", { vessels: ids.length });
+          return;
+        }
+        if (!__destroyed && els.search && els.search.value === raw) reapplyFilter();
+      });
+    }
+
+    function renderSearchError(errors) {
+      var input = els.search;
+      if (!input) return;
+      var el = document.getElementById(SEARCH_ERROR_ID);
+      var described = (input.getAttribute("aria-describedby") || "").split(/\s+/).filter(function (id) {
+        return id && id !== SEARCH_ERROR_ID;
+      });
+
+      if (!errors || !errors.length) {
+        if (el) el.hidden = true;
+        input.removeAttribute("aria-invalid");
+        if (described.length) input.setAttribute("aria-describedby", described.join(" "));
+        else input.removeAttribute("aria-describedby");
         return;
       }
-      if (matchedLiners === 0 && matchedShips === 0) {
-        status.textContent = s.none || "";
-        return;
+
+      if (!el) {
+        el = document.createElement("p");
+        el.id = SEARCH_ERROR_ID;
+        el.className = "browse-search__error text-danger";
+        var anchor = document.getElementById(SUGGEST_LIST_ID) || input;
+        anchor.parentNode.insertBefore(el, anchor.nextSibling);
       }
-      if (!s.template) {
-        status.textContent = matchedLiners + " cruise line(s) match. " + matchedShips + " ship(s) shown.";
+      el.textContent = searchErrorText(errors);
+      el.hidden = false;
+      input.setAttribute("aria-invalid", "true");
+      input.setAttribute("aria-describedby", [SEARCH_ERROR_ID].concat(described).join(" "));
+    }
+
+    // =========================================================
+    // Search (snippet-driven status strings)
+    // =========================================================
+    function setupSearch() {
+      var input = els.search;
+      var status = els.status;
+      var tree = els.tree;
+
+      if (!input || !status || !tree) {
+        logger.warn("Search not initialized: missing elements", {
+          hasInput: !!input, hasStatus: !!status, hasTree: !!tree
+        });
         return;
       }
-      status.textContent = formatTemplate(s.template, matchedLiners, matchedShips);
-    }
 
-    function applyFilter(raw) {
-      var q = (raw || "").trim().toLowerCase();
-      var matchedLiners = 0;
-      var matchedShips = 0;
+      // H3: Enforce aria-live="polite" on search status for screen readers
+      if (!status.hasAttribute("aria-live")) {
+        status.setAttribute("aria-live", "polite");
+      }
+      if (!status.hasAttribute("aria-atomic")) {
+        status.setAttribute("aria-atomic", "true");
+      }
 
-      linerEls().forEach(function (liner) {
-        var linerSum = getSummary(liner);
-        var linerName = (linerSum ? textOf(linerSum) : "").toLowerCase();
-        var linerMatch = !q || linerName.indexOf(q) !== -1;
+      function linerEls() { return qsa(tree, "details.browse-tree__liner"); }
+      function shipEls(liner) { return qsa(liner, "details.browse-tree__ship"); }
+
+      function readStatusStrings() {
+        var i18n = document.getElementById("shipScores_i18n");
+        var node = i18n || status;
+        return {
+          loading: node.getAttribute("data-status-loading") || "",
+          empty: node.getAttribute("data-status-empty") || "",
+          template: node.getAttribute("data-status-template") || "",
+          none: node.getAttribute("data-status-none") || "",
+          cleared: node.getAttribute("data-status-cleared") || ""
+        };
+      }
 
-        var ships = shipEls(liner);
-        var shipMatches = ships.map(function (ship) {
-          var s = getSummary(ship);
-          var shipName = (s ? textOf(s) : "").toLowerCase();
-          var match = !q || shipName.indexOf(q) !== -1;
-          return { ship: ship, match: match };
-        });
+      function formatTemplate(tpl, liners, ships) {
+        return String(tpl || "")
+          .replace(/\{\{\s*liners\s*\}\}/gi, String(liners))
+          .replace(/\{\{\s*ships\s*\}\}/gi, String(ships));
+      }
 
-        var anyShipMatch = shipMatches.some(function (m) { return m.match; });
-        var linerVisible = !q || linerMatch || anyShipMatch;
-        liner.style.display = linerVisible ? "" : "none";
+      function setLoadingStatus() {
+        var s = readStatusStrings();
+        if (s.loading) status.textContent = s.loading;
+      }
 
-        if (!linerVisible) {
-          liner.open = false;
-          ships.forEach(function (ship) {
-            ship.open = false;
-            ship.style.display = "";
-            setRegionsTabbable(ship, false);
-          });
+      function setEmptyStatus() {
+        var s = readStatusStrings();
+        status.textContent = s.empty || s.none || "";
+      }
+
+      // criteria (optional): parsed query; its description follows the counts
+      function setStatusText(q, matchedLiners, matchedShips, weights, criteria) {
+        setStatusCounts(q, matchedLiners, matchedShips, weights);
+        var described = criteria && criteria.qualified ? describeSearchCriteria(criteria) : "";
+        if (described) status.textContent = (status.textContent ? status.textContent + " " : "") + described;
+      }
+
+      function setStatusCounts(q, matchedLiners, matchedShips, weights) {
+        var s = readStatusStrings();
+        var hasAnyData = (__ShipScoresData.loaded && (__ShipScoresData.totalLiners > 0 || __ShipScoresData.totalShips > 0));
+
+        if (__ShipScoresData.loaded && !hasAnyData) {
+          setEmptyStatus();
           return;
         }
+        if (!q && !(weights && weights.length)) {
+          status.textContent = s.cleared || "";
+          return;
+        }
+        if (matchedLiners === 0 && matchedShips === 0) {
+          status.textContent = s.none || "";
+          return;
+        }
+        if (!s.template) {
+          status.textContent = matchedLiners + " cruise line(s) match. " + matchedShips + " ship(s) shown.";
+          return;
+        }
+        status.textContent = formatTemplate(s.template, matchedLiners, matchedShips);
+      }
 
-        matchedLiners++;
+      function applyFilter(raw) {
+        writeUrlState({ query: raw || "" });
 
-        shipMatches.forEach(function (m) {
-          var shipVisible = !q || linerMatch || m.match;
-          m.ship.style.display = shipVisible ? "" : "none";
-          if (!shipVisible) {
-            m.ship.open = false;
-            setRegionsTabbable(m.ship, false);
-          } else {
-            matchedShips++;
+        var criteria = parseSearchQuery(raw);
+        var tokens = criteria.terms;
+        var q = hasSearchCriteria(criteria) ? (raw || "").trim().toLowerCase() : "";
+        var weights = getSelectedWeightClasses();
+        var matchedLiners = 0;
+        var matchedShips = 0;
+        var yearCandidates = [];
+
+        renderSearchError(criteria.errors);
+
+        function weightMatch(ship) {
+          if (!weights.length) return true;
+          return weights.indexOf(ship.getAttribute("data-vessel-weight") || "") !== -1;
+        }
+
+        linerEls().forEach(function (liner) {
+          var linerSum = getSummary(liner);
+          var linerName = foldSearchText(linerSum ? summaryLabelText(linerSum) : "").text;
+          var lineOk = matchesAllTokens(linerName, criteria.line);
+          highlightLabel(qs(linerSum, ".browse-tree__label"), tokens.concat(criteria.line));
+
+          // Tokens may be split across the cruise line and ship names ("carnival zeta");
+          // a cruise line name match alone keeps its whole fleet
+          var ships = shipEls(liner);
+          var shipMatches = ships.map(function (ship) {
+            var s = getSummary(ship);
+            var shipName = foldSearchText(s ? summaryLabelText(s) : "").text;
+            var nameOk = lineOk &&
+              matchesAllTokens(shipName, criteria.ship) &&
+              matchesAllTokens(linerName + " " + shipName, tokens);
+            var match = !q || (nameOk && shipMatchesPredicates(ship, criteria));
+            var weightOk = weightMatch(ship);
+            if (criteria.year.length && nameOk && weightOk && shipMatchesWeight(ship, criteria)) {
+              var id = normalizeGuid(ship.getAttribute("data-vessel-id"));
+              if (id) yearCandidates.push(id);
+            }
+            highlightLabel(qs(s, ".browse-tree__label"), tokens.concat(criteria.ship));
+            return { ship: ship, match: match, weightOk: weightOk };
+          });
+
+          var linerVisible = shipMatches.some(function (m) { return m.match && m.weightOk; }) ||
+            (!q && !weights.length);
+          liner.style.display = linerVisible ? "" : "none";
+
+          if (!linerVisible) {
+            liner.open = false;
+            ships.forEach(function (ship) {
+              ship.open = false;
+              ship.style.display = "";
+              setRegionsTabbable(ship, false);
+            });
+            return;
           }
-        });
 
-        if (q) liner.open = true;
-        else {
-          liner.open = false;
-          ships.forEach(function (ship) {
-            ship.open = false;
-            setRegionsTabbable(ship, false);
+          matchedLiners++;
+
+          shipMatches.forEach(function (m) {
+            var shipVisible = m.match && m.weightOk;
+            m.ship.style.display = shipVisible ? "" : "none";
+            if (!shipVisible) {
+              m.ship.open = false;
+              setRegionsTabbable(m.ship, false);
+            } else {
+              matchedShips++;
+            }
           });
-        }
-      });
 
-      setStatusText(q, matchedLiners, matchedShips);
-      logger.debug("Search applied", { query: q || "(empty)", matchedLiners: matchedLiners, matchedShips: matchedShips });
-    }
+          if (q) liner.open = true;
+          else {
+            liner.open = false;
+            ships.forEach(function (ship) {
+              ship.open = false;
+              setRegionsTabbable(ship, false);
+            });
+          }
+        });
 
-    input.addEventListener("input", function () { applyFilter(input.value); });
-    input.addEventListener("search", function () { applyFilter(input.value); });
-    input.addEventListener("keydown", function (e) {
-      if (e.key === "Escape") {
-        input.value = "";
-        applyFilter("");
+        setStatusText(q, matchedLiners, matchedShips, weights, criteria);
+        if (__treeKeys) resetRovingTabStop();
+        if (criteria.year.length) prefetchForYearCriteria(raw, yearCandidates);
+        else cancelYearPrefetch();
+        renderTableView();
+        logger.debug("Search applied", {
+          query: q || "(empty)", weights: weights, matchedLiners: matchedLiners, matchedShips: matchedShips
+        });
       }
-    });
 
-    // M3: Expose via consolidated namespace
-    window.ShipScores = window.ShipScores || {};
-    window.ShipScores.applyFilter = applyFilter;
-    window.ShipScores.setLoading = setLoadingStatus;
-    window.ShipScores.setEmpty = setEmptyStatus;
+      listen(input, "input", function () { applyFilter(input.value); });
+      listen(input, "search", function () { applyFilter(input.value); });
+      listen(input, "keydown", function (e) {
+        if (e.key === "Escape") {
+          input.value = "";
+          applyFilter("");
+        }
+      });
 
-    // Backward-compat aliases (safe to remove once all callers updated)
-    window.__ShipScoresApplyFilter = applyFilter;
-    window.__ShipScoresSetLoading = setLoadingStatus;
-    window.__ShipScoresSetEmpty = setEmptyStatus;
+      // M3: Exposed on the instance (and window.ShipScores for the auto-init tree)
+      __search = { applyFilter: applyFilter, setLoading: setLoadingStatus, setEmpty: setEmptyStatus };
 
-    applyFilter(input.value);
-    logger.info("Search initialized");
-  }
+      // Deep link: restore the query before the first filter pass
+      var urlQuery = readUrlState().query;
+      if (urlQuery && !input.value) input.value = urlQuery;
 
-  function buildLinerNode(linerName) {
-    var d = document.createElement("details");
-    d.className = "browse-tree__liner";
+      applyFilter(input.value);
+      logger.info("Search initialized");
+    }
 
-    var sum = document.createElement("summary");
-    sum.className = "browse-tree__summary";
-    sum.setAttribute("tabindex", "0");
-    setSummaryLabel(sum, linerName, 2);
+    function buildLinerNode(linerName, ownerId) {
+      var d = document.createElement("details");
+      d.className = "browse-tree__liner";
+      if (ownerId) d.setAttribute("data-owner-id", normalizeGuid(ownerId));
 
-    var panel = document.createElement("div");
-    panel.className = "browse-tree__panel";
+      var sum = document.createElement("summary");
+      sum.className = "browse-tree__summary";
+      sum.setAttribute("tabindex", "0");
+      setSummaryLabel(sum, linerName, HEADING_LEVEL);
 
-    d.appendChild(sum);
-    d.appendChild(panel);
-    return d;
-  }
+      var panel = document.createElement("div");
+      panel.className = "browse-tree__panel";
 
-  // =========================================================
-  // Ship details template (cloned from server-rendered demo HTML)
-  // =========================================================
-  var __shipDetailsTemplate = null;
+      d.appendChild(sum);
+      d.appendChild(panel);
+      return d;
+    }
 
-  function getShipDetailsTemplate() {
-    if (__shipDetailsTemplate) return __shipDetailsTemplate;
+    // =========================================================
+    // Ship details template (cloned from server-rendered demo HTML)
+    // =========================================================
+    var __shipDetailsTemplate = null;
+
+    function getShipDetailsTemplate() {
+      if (__shipDetailsTemplate) return __shipDetailsTemplate;
+
+      var demo = qs(els.tree, ".browse-tree__ship .ship-details") || qs(document, ".browse-tree__ship .ship-details");
+      if (!demo) {
+        var ui = getShipScoresText();
+        var fb = document.createElement("div");
+        fb.className = "ship-details";
+        fb.innerHTML =
+          '<h4 class="ship-details__title">' + ui.vesselHistoryTitle + '</h4>' +
+          '<section data-ship-focus="history" role="region" class="ship-details__history">' +
+            '<table class="ship-details__table table table-striped table-hover">' +
+              '<caption class="wb-inv">' + ui.tableCaption +
+                '<span> (</span>' + ui.dateFormatHint + '<span>) </span>' +
+              '</caption>' +
+              '<thead><tr>' +
+                '<th scope="col">' + ui.dateOfInspectionLabel +
+                  ' <span>(<span>' + ui.dateFormatHint + '</span>)</span>' +
+                '</th>' +
+                '<th scope="col">' + ui.scoreObtainedLabel + '</th>' +
+                '<th scope="col">' + ui.inspectionTypeLabel + '</th>' +
+              '</tr></thead>' +
+              '<tbody></tbody>' +
+            '</table>' +
+          '</section>';
+
+        __shipDetailsTemplate = fb;
+        return __shipDetailsTemplate;
+      }
 
-    var demo = document.querySelector(".browse-tree__ship .ship-details");
-    if (!demo) {
-      var ui = getShipScoresText();
-      var fb = document.createElement("div");
-      fb.className = "ship-details";
-      fb.innerHTML =
-        '<h4 class="ship-details__title">' + ui.vesselHistoryTitle + '</h4>' +
-        '<section data-ship-focus="history" role="region" class="ship-details__history">' +
-          '<table class="ship-details__table table table-striped table-hover">' +
-            '<caption class="wb-inv">' + ui.tableCaption +
-              '<span> (</span>' + ui.dateFormatHint + '<span>) </span>' +
-            '</caption>' +
-            '<thead><tr>' +
-              '<th scope="col">' + ui.dateOfInspectionLabel +
-                ' <span>(<span>' + ui.dateFormatHint + '</span>)</span>' +
-              '</th>' +
-              '<th scope="col">' + ui.scoreObtainedLabel + '</th>' +
-            '</tr></thead>' +
-            '<tbody></tbody>' +
-          '</table>' +
-        '</section>';
-
-      __shipDetailsTemplate = fb;
+      __shipDetailsTemplate = demo.cloneNode(true);
       return __shipDetailsTemplate;
     }
 
-    __shipDetailsTemplate = demo.cloneNode(true);
-    return __shipDetailsTemplate;
-  }
+    // Template titles assume liners at h2; keep their relative level for other headingLevels
+    function shiftTitleLevels(detailsWrap) {
+      var shift = HEADING_LEVEL - 2;
+      if (!shift) return;
+
+      qsa(detailsWrap, ".ship-details__title").forEach(function (h) {
+        var m = /^H([1-6])$/i.exec(h.tagName || "");
+        if (!m) return;
+        var n = Math.min(6, Math.max(1, parseInt(m[1], 10) + shift));
+        var next = document.createElement("h" + n);
+        Array.prototype.forEach.call(h.attributes, function (a) { next.setAttribute(a.name, a.value); });
+        while (h.firstChild) next.appendChild(h.firstChild);
+        h.parentNode.replaceChild(next, h);
+      });
+    }
 
-  function makeShipDomId(prefix) {
-    return prefix + "_" + Math.random().toString(36).slice(2, 8) + "_" + Date.now().toString(36);
-  }
+    // Deterministic when a vessel GUID is known, so ids survive reloads
+    function makeShipDomId(prefix, vesselId) {
+      var key = vesselDomKey(vesselId);
+      if (key) return prefix + "_" + key + ID_SUFFIX;
+      return prefix + "_" + Math.random().toString(36).slice(2, 8) + "_" + Date.now().toString(36);
+    }
 
-  function buildShipNode(ownerName, shipName, vesselId, weight) {
-    var ship = document.createElement("details");
-    ship.className = "browse-tree__ship";
-    ship.setAttribute("data-ship-name", shipName);
+    // latest (optional): { latestDate, latestScore, inspectionCount } from the vessels query
+    function buildShipNode(ownerName, shipName, vesselId, weight, latest) {
+      var ship = document.createElement("details");
+      ship.className = "browse-tree__ship";
+      ship.setAttribute("data-ship-name", shipName);
 
-    if (vesselId) ship.setAttribute("data-vessel-id", normalizeGuid(vesselId));
-    if (weight) ship.setAttribute("data-vessel-weight", String(weight));
+      if (vesselId) {
+        ship.setAttribute("data-vessel-id", normalizeGuid(vesselId));
+        ship.id = makeShipDomId("vessel", vesselId);
+      }
+      if (weight) ship.setAttribute("data-vessel-weight", String(weight));
+      if (latest && latest.latestDate) ship.setAttribute("data-latest-date", dateOnly(latest.latestDate));
+      if (latest && latest.latestScore !== null && latest.latestScore !== undefined && latest.latestScore !== "") {
+        ship.setAttribute("data-latest-score", String(latest.latestScore));
+      }
+      if (latest && latest.inspectionCount) ship.setAttribute("data-inspection-count", String(latest.inspectionCount));
+
+      var sum = document.createElement("summary");
+      sum.className = "browse-tree__summary";
+      sum.setAttribute("tabindex", "0");
+      setSummaryLabel(sum, shipName, HEADING_LEVEL + 1);
+      if (latest) setSummaryRatingBadge(sum, latest.latestScore);
+
+      var detailsWrap = getShipDetailsTemplate().cloneNode(true);
+      shiftTitleLevels(detailsWrap);
+
+      // Fix IDs + aria-labelledby so clones are valid
+      var allTitles = detailsWrap.querySelectorAll(".ship-details__title");
+      var infoTitle = detailsWrap.querySelector('[id$="_info_title"], [id*="_info_title"]') || allTitles[0] || null;
+      var histTitle = detailsWrap.querySelector('[id$="_hist_title"], [id*="_hist_title"]') || allTitles[1] || null;
+
+      var infoSection = detailsWrap.querySelector('section[data-ship-focus="info"]');
+      var histSection = detailsWrap.querySelector('section[data-ship-focus="history"]');
+      if (!infoSection && !histTitle && infoTitle) {
+        histTitle = infoTitle;
+        infoTitle = null;
+      }
 
-    var sum = document.createElement("summary");
-    sum.className = "browse-tree__summary";
-    sum.setAttribute("tabindex", "0");
-    setSummaryLabel(sum, shipName, 3);
+      var infoId = makeShipDomId("ship_info_title", vesselId);
+      var histId = makeShipDomId("ship_hist_title", vesselId);
 
-    var detailsWrap = getShipDetailsTemplate().cloneNode(true);
+      if (infoTitle) infoTitle.id = infoId;
+      if (histTitle) histTitle.id = histId;
 
-    // Fix IDs + aria-labelledby so clones are valid
-    var allTitles = detailsWrap.querySelectorAll(".ship-details__title");
-    var infoTitle = detailsWrap.querySelector('[id$="_info_title"], [id*="_info_title"]') || allTitles[0] || null;
-    var histTitle = detailsWrap.querySelector('[id$="_hist_title"], [id*="_hist_title"]') || allTitles[1] || null;
+      if (infoSection && infoTitle) infoSection.setAttribute("aria-labelledby", infoId);
+      if (histSection && histTitle) histSection.setAttribute("aria-labelledby", histId);
 
-    var infoSection = detailsWrap.querySelector('section[data-ship-focus="info"]');
-    var histSection = detailsWrap.querySelector('section[data-ship-focus="history"]');
-    if (!infoSection && !histTitle && infoTitle) {
-      histTitle = infoTitle;
-      infoTitle = null;
-    }
+      // Fill "Cruise line" (owner) value + type immediately (if info section exists in template)
+      try {
+        var dds = detailsWrap.querySelectorAll(".ship-details__info-box dd");
+        if (dds && dds.length >= 1) dds[0].textContent = ownerName;
+        if (dds && dds.length >= 2) dds[1].textContent = cruiseShipLabel();
+        if (dds && dds.length >= 3) dds[2].textContent = weight ? String(weight) : "";
+      } catch (e) {}
 
-    var infoId = makeShipDomId("ship_info_title");
-    var histId = makeShipDomId("ship_hist_title");
+      // Leave history tbody empty until lazy-load on expand
+      try {
+        var tbody = detailsWrap.querySelector(".ship-details__history tbody");
+        if (tbody) tbody.innerHTML = "";
+      } catch (e2) {}
 
-    if (infoTitle) infoTitle.id = infoId;
-    if (histTitle) histTitle.id = histId;
+      if (vesselId) detailsWrap.insertBefore(buildCompareControl(shipName, vesselId), detailsWrap.firstChild);
 
-    if (infoSection && infoTitle) infoSection.setAttribute("aria-labelledby", infoId);
-    if (histSection && histTitle) histSection.setAttribute("aria-labelledby", histId);
+      ship.appendChild(sum);
+      ship.appendChild(detailsWrap);
+      return ship;
+    }
 
-    // Fill "Cruise line" (owner) value + type immediately (if info section exists in template)
-    try {
-      var dds = detailsWrap.querySelectorAll(".ship-details__info-box dd");
-      if (dds && dds.length >= 1) dds[0].textContent = ownerName;
-      if (dds && dds.length >= 2) dds[1].textContent = cruiseShipLabel();
-      if (dds && dds.length >= 3) dds[2].textContent = "";
-    } catch (e) {}
+    function primeShipDetailsTemplateCache() {
+      try {
+        if (__shipDetailsTemplate) return;
+        var demo = qs(els.tree, ".browse-tree__ship .ship-details") || qs(document, ".browse-tree__ship .ship-details");
+        if (demo) {
+          __shipDetailsTemplate = demo.cloneNode(true);
+          logger.info("Primed ship details template cache from demo DOM");
+        } else {
+          logger.debug("No demo ship-details found; will use fallback template");
+        }
+      } catch (e) {
+        logger.warn("primeShipDetailsTemplateCache failed", { error: e && e.message });
+      }
+    }
 
-    // Leave history tbody empty until lazy-load on expand
-    try {
-      var tbody = detailsWrap.querySelector(".ship-details__history tbody");
-      if (tbody) tbody.innerHTML = "";
-    } catch (e2) {}
+    function normalizeShipSummaryMarkup(root) {
+      var scope = root || document;
 
-    ship.appendChild(sum);
-    ship.appendChild(detailsWrap);
-    return ship;
-  }
+      (scope.querySelectorAll("details.browse-tree__ship > summary") || []).forEach(function (s) {
+        if (!s.classList.contains("browse-tree__summary")) {
+          s.classList.add("browse-tree__summary");
+        }
+        if (!s.querySelector(".browse-tree__label")) {
+          var d = s.closest("details");
+          var isShip = d && d.classList && d.classList.contains("browse-tree__ship");
+          setSummaryLabel(s, textOf(s), isShip ? HEADING_LEVEL + 1 : HEADING_LEVEL);
+        }
+      });
 
-  function primeShipDetailsTemplateCache() {
-    try {
-      if (__shipDetailsTemplate) return;
-      var demo = document.querySelector(".browse-tree__ship .ship-details");
-      if (demo) {
-        __shipDetailsTemplate = demo.cloneNode(true);
-        logger.info("Primed ship details template cache from demo DOM");
-      } else {
-        logger.debug("No demo ship-details found; will use fallback template");
-      }
-    } catch (e) {
-      logger.warn("primeShipDetailsTemplateCache failed", { error: e && e.message });
+      (scope.querySelectorAll("details.browse-tree__liner") || []).forEach(function (liner) {
+        var panel = liner.querySelector(".browse-tree__panel");
+        if (!panel) return;
+        Array.from(liner.children).forEach(function (child) {
+          if (child && child.matches && child.matches("details.browse-tree__ship")) {
+            panel.appendChild(child);
+          }
+        });
+      });
     }
-  }
 
-  function normalizeShipSummaryMarkup(root) {
-    var scope = root || document;
+    // =========================================================
+    // M4: Loading skeleton for tree area during vessel fetch
+    // =========================================================
+    function showTreeLoading(tree) {
+      var msg = isFrench() ? "Chargement des données..." : "Loading cruise ship data...";
+      var html =
+        '<div class="browse-tree__loading" role="status" aria-live="polite">' +
+          '<p>' + msg + '</p>' +
+        '</div>';
+      tree.innerHTML = html;
+
+      // Table view: its rows are stale until renderVesselRows re-applies the filter
+      var wrap = __ViewMode === "table" ? document.getElementById(TABLE_VIEW_ID) : null;
+      if (wrap) wrap.innerHTML = html;
+    }
 
-    (scope.querySelectorAll("details.browse-tree__ship > summary") || []).forEach(function (s) {
-      if (!s.classList.contains("browse-tree__summary")) {
-        s.classList.add("browse-tree__summary");
+    // =========================================================
+    // H2: User-visible error message on vessel load failure
+    // =========================================================
+    function showTreeError(tree, err) {
+      var info = err ? loadErrorOf(err) : { kind: "unknown" };
+      var msgId = safeId("browseTreeError");
+
+      // The tree is hidden in table view: the alert would never be seen or announced
+      if (__ViewMode === "table") setViewMode("tree");
+
+      tree.innerHTML = "";
+      var box = document.createElement("div");
+      box.className = "browse-tree__error";
+      box.setAttribute("role", "alert");
+
+      var p = document.createElement("p");
+      p.className = "text-danger";
+      p.id = msgId;
+      p.textContent = (isFrench()
+        ? "Impossible de charger les données des navires. "
+        : "Unable to load cruise ship data. ") + loadErrorReason(info);
+      box.appendChild(p);
+
+      var btn = retryButton("browse-tree__retry", msgId);
+      box.appendChild(btn);
+      tree.appendChild(box);
+
+      function retry() {
+        window.removeEventListener("online", onOnline);
+        loadLinersAndShipsFromVessels(function (ok) {
+          if (ok) {
+            var first = qsa(tree, "summary.browse-tree__summary").filter(isVisible)[0];
+            if (first) first.focus();
+          } else {
+            var again = qs(tree, ".browse-tree__retry");
+            if (again) again.focus();
+          }
+        });
       }
-      if (!s.querySelector(".browse-tree__label")) {
-        var d = s.closest("details");
-        var isShip = d && d.classList && d.classList.contains("browse-tree__ship");
-        setSummaryLabel(s, textOf(s), isShip ? 3 : 2);
+
+      function onOnline() {
+        logger.info("Connection restored; retrying vessel load");
+        retry();
       }
-    });
 
-    (scope.querySelectorAll("details.browse-tree__liner") || []).forEach(function (liner) {
-      var panel = liner.querySelector(".browse-tree__panel");
-      if (!panel) return;
-      Array.from(liner.children).forEach(function (child) {
-        if (child && child.matches && child.matches("details.browse-tree__ship")) {
-          panel.appendChild(child);
-        }
-      });
-    });
-  }
+      btn.addEventListener("click", retry);
+      if (info.kind === "offline") listen(window, "online", onOnline);
+    }
 
-  // =========================================================
-  // M4: Loading skeleton for tree area during vessel fetch
-  // =========================================================
-  function showTreeLoading(tree) {
-    var msg = isFrench() ? "Chargement des données..." : "Loading cruise ship data...";
-    tree.innerHTML =
-      '<div class="browse-tree__loading" role="status" aria-live="polite">' +
-        '<p>' + msg + '</p>' +
-      '</div>';
-  }
+    // =========================================================
+    // Dataverse OData load from ethi_vessels (Active only)
+    // =========================================================
 
-  // =========================================================
-  // H2: User-visible error message on vessel load failure
-  // =========================================================
-  function showTreeError(tree) {
-    var msg = isFrench()
-      ? "Impossible de charger les données des navires. Veuillez réessayer plus tard."
-      : "Unable to load cruise ship data. Please try again later.";
-    tree.innerHTML =
-      '<div class="browse-tree__error" role="alert">' +
-        '<p class="text-danger">' + msg + '</p>' +
-      '</div>';
-  }
+    // Server-side look-back clause for the vessels query ("" when showing all)
+    function lastXYearsClause(prefix, years) {
+      if (!(years > 0)) return "";
+      return prefix + OData.fn("Microsoft.Dynamics.CRM.LastXYears", {
+        PropertyName: "ethi_inspectionenddateandtime",
+        PropertyValue: years
+      });
+    }
 
-  // =========================================================
-  // Dataverse OData load from ethi_vessels (Active only)
-  // =========================================================
-  function loadLinersAndShipsFromVessels(done) {
-    var tree = document.getElementById("browseTree");
-    if (!tree) {
-      logger.warn("Vessels OData load skipped: #browseTree not found");
-      if (done) done(false);
-      return;
+    // Active vessels with at least one qualifying inspection in the window
+    function buildVesselsUrl(years) {
+      var cfg = getFilterConfig();
+
+      return OData.query("/_api/ethi_vessels")
+        .select("ethi_establishmenttype", "ethi_name", "_ethi_ownerid_value", "ethi_vesselid",
+          "statecode", "statuscode", "ethi_shipweightrange")
+        .expand("ethi_Incident_Conveyance_ethi_vessel", function (q) {
+          q.select("incidentid", "ethi_inspectionscore", "ethi_inspectionenddateandtime")
+            .filter(OData.ne("ethi_inspectionscore", null), lastXYearsClause("", years))
+            .filter(inspectionFilterClauses(cfg, ""));
+        })
+        .expand("ethi_OwnerId", function (q) {
+          q.select("name", "statecode");
+        })
+        .filter(OData.eq("statecode", 0))
+        .filter(OData.any("ethi_Incident_Conveyance_ethi_vessel", "o1", OData.and(
+          OData.ne("o1/ethi_inspectionscore", null),
+          lastXYearsClause("o1/", years),
+          inspectionFilterClauses(cfg, "o1/"),
+          OData.ne("o1/_ownerid_value", null)
+        )))
+        .filter(OData.ne("ethi_OwnerId/name", null), OData.eq("ethi_OwnerId/statecode", 0))
+        .toString();
     }
 
-    var hasETHI = window.eTHIDataverse && typeof window.eTHIDataverse.safeAjax === "function";
-    var hasWebapi = window.webapi && typeof window.webapi.safeAjax === "function";
+    // Incremented per load so a slow, superseded response never overwrites the tree
+    var __vesselLoadSeq = 0;
 
-    if (!hasETHI && !hasWebapi) {
-      logger.warn("Vessels OData load skipped: eTHIDataverse / webapi not available");
-      if (done) done(false);
-      return;
+    // Dataverse adapter only — raw ethi_vessels rows
+    function fetchVesselRows(years) {
+      var url = buildVesselsUrl(years);
+      logger.info("Vessels OData load: GET", { url: url, years: years || "all" });
+
+      return doOdataGetAll(url, { formattedValues: true, label: "Vessels OData load" })
+        .then(function (dataOrRows) {
+          var rows = odataToArray(dataOrRows);
+          logger.info("Vessels OData load: rows returned", { count: rows.length });
+          return rows;
+        });
     }
 
-    // Announce loading (status text + M4 tree skeleton)
-    try {
-      var ssNs = window.ShipScores || {};
-      if (typeof ssNs.setLoading === "function") ssNs.setLoading();
-      else if (typeof window.__ShipScoresSetLoading === "function") window.__ShipScoresSetLoading();
-    } catch (e) {}
-    showTreeLoading(tree);
-
-    // GUIDs for ethi_rbiinspectiontype_value:
-    // Routine - Announced:   05aea5d2-11eb-ef11-9342-0022486e14f0
-    // Routine - Unannounced: 4c5048c5-11eb-ef11-9342-0022486e14f0
-    var url =
-      "/_api/ethi_vessels" +
-      "?$select=ethi_establishmenttype,ethi_name,_ethi_ownerid_value,ethi_vesselid,statecode,statuscode,ethi_shipweightrange" +
-      "&$expand=" +
-      "ethi_Incident_Conveyance_ethi_vessel(" +
-      "$select=incidentid;" +
-      "$filter=(" +
-      "ethi_inspectionscore ne null and " +
-      "Microsoft.Dynamics.CRM.LastXYears(PropertyName='ethi_inspectionenddateandtime',PropertyValue=5) and " +
-      "ethi_inspectionscope eq 786080000 and " +
-      "statecode eq 0 and " +
-      "statuscode ne 6 and " +
-      "_ethi_rbiinspectiontype_value eq 05aea5d2-11eb-ef11-9342-0022486e14f0 and " +
-      "ethi_finalreportcreated ne null" +
-      ")" +
-      ")," +
-      "ethi_OwnerId($select=name,statecode)" +
-      "&$filter=" + encodeURIComponent(
-        "statecode eq 0 and " +
-        "ethi_Incident_Conveyance_ethi_vessel/any(o1:" +
-        "o1/ethi_inspectionscore ne null and " +
-        "o1/Microsoft.Dynamics.CRM.LastXYears(PropertyName='ethi_inspectionenddateandtime',PropertyValue=5) and " +
-        "o1/ethi_inspectionscope eq 786080000 and " +
-        "o1/statecode eq 0 and " +
-        "o1/statuscode ne 6 and " +
-        "(" +
-        "o1/_ethi_rbiinspectiontype_value eq 05aea5d2-11eb-ef11-9342-0022486e14f0 or " +
-        "o1/_ethi_rbiinspectiontype_value eq 4c5048c5-11eb-ef11-9342-0022486e14f0" +
-        ") and " +
-        "o1/ethi_finalreportcreated ne null and " +
-        "o1/_ownerid_value ne null" +
-        ") and " +
-        "(ethi_OwnerId/name ne null and ethi_OwnerId/statecode eq 0)"
-      ) +
-      "&$top=10000";
-
-    logger.info("Vessels OData load: GET", { url: url });
-
-    doOdataGet(url)
-      .then(function (dataOrRows) {
-        var rows = odataToArray(dataOrRows);
-
-        logger.info("Vessels OData load: rows returned", { count: rows.length });
-
-        __ShipScoresData.loaded = true;
-        __ShipScoresData.totalShips = 0;
-        __ShipScoresData.totalLiners = 0;
-
-        // ownerName -> shipName -> { vesselId, weight }
-        var map = Object.create(null);
-
-        rows.forEach(function (r) {
-          var ownerName = "";
-          try {
-            ownerName = r && r.ethi_OwnerId && r.ethi_OwnerId.name ? String(r.ethi_OwnerId.name).trim() : "";
-          } catch (e) {}
-
-          var shipName = (r && r.ethi_name) ? String(r.ethi_name).trim() : "";
-          var vesselId = (r && r.ethi_vesselid) ? normalizeGuid(r.ethi_vesselid) : "";
-          var weight = (r && r.ethi_shipweightrange !== null && r.ethi_shipweightrange !== undefined)
-            ? String(r.ethi_shipweightrange)
-            : "";
+    function fetchVessels(years) {
+      var source = getDataSource();
+      return new Promise(function (resolve) {
+        resolve(source.listVessels({ years: years }));
+      }).then(function (vessels) {
+        return Array.isArray(vessels) ? vessels : [];
+      });
+    }
 
-          if (!ownerName || !shipName || !vesselId) return;
+    // Build the liner/ship tree from vessel records (data source or storage cache)
+    function renderVesselRows(tree, rows) {
+      __ShipScoresData.loaded = true;
+      __ShipScoresData.totalShips = 0;
+      __ShipScoresData.totalLiners = 0;
+
+      // ownerName -> shipName -> { vesselId, weight }
+      var map = Object.create(null);
+      // ownerName -> owner account GUID (deep-link key for liners)
+      var ownerIds = Object.create(null);
+
+      rows.forEach(function (r) {
+        var ownerName = r && r.ownerName ? String(r.ownerName).trim() : "";
+        var shipName = r && r.name ? String(r.name).trim() : "";
+        var vesselId = r && r.vesselId ? normalizeGuid(r.vesselId) : "";
+
+        if (!ownerName || !shipName || !vesselId) return;
+        // Single-line embed (options.lineId)
+        if (LINE_FILTER && normalizeGuid(r.ownerId).toLowerCase() !== LINE_FILTER) return;
+
+        if (!map[ownerName]) map[ownerName] = Object.create(null);
+        map[ownerName][shipName] = {
+          vesselId: vesselId,
+          weight: r.weight || "",
+          latestDate: r.latestDate || "",
+          latestScore: r.latestScore,
+          inspectionCount: r.inspectionCount
+        };
+        if (!ownerIds[ownerName] && r.ownerId) ownerIds[ownerName] = normalizeGuid(r.ownerId);
+      });
 
-          if (!map[ownerName]) map[ownerName] = Object.create(null);
-          map[ownerName][shipName] = { vesselId: vesselId, weight: weight };
-        });
+      // Clear loading skeleton
+      tree.innerHTML = "";
 
-        // Clear loading skeleton
-        tree.innerHTML = "";
+      // L2: locale-aware sort
+      var locale = localeSortLocale();
+      var owners = Object.keys(map).sort(function (a, b) {
+        return a.localeCompare(b, locale, { sensitivity: "base" });
+      });
+      __ShipScoresData.totalLiners = owners.length;
 
-        // L2: locale-aware sort
-        var locale = localeSortLocale();
-        var owners = Object.keys(map).sort(function (a, b) {
-          return a.localeCompare(b, locale, { sensitivity: "base" });
-        });
-        __ShipScoresData.totalLiners = owners.length;
-
-        var shipCount = 0;
-
-        // If Dataverse has no data at all, announce empty and stop
-        if (owners.length === 0) {
-          try {
-            var ssNs2 = window.ShipScores || {};
-            if (typeof ssNs2.setEmpty === "function") ssNs2.setEmpty();
-            else if (typeof window.__ShipScoresSetEmpty === "function") window.__ShipScoresSetEmpty();
-          } catch (e2) {}
-
-          var applyFn = (window.ShipScores && window.ShipScores.applyFilter) || window.__ShipScoresApplyFilter;
-          if (typeof applyFn === "function") {
-            var input0 = document.getElementById("linerSearch");
-            applyFn(input0 ? input0.value : "");
-          }
+      var shipCount = 0;
 
-          if (done) done(true);
-          return;
-        }
+      // If Dataverse has no data at all, announce empty and stop
+      if (owners.length === 0) {
+        if (__search) __search.setEmpty();
+        reapplyFilter();
 
-        owners.forEach(function (ownerName) {
-          var linerNode = buildLinerNode(ownerName);
-          tree.appendChild(linerNode);
+        return;
+      }
 
-          var panel = linerNode.querySelector(".browse-tree__panel");
-          if (!panel) {
-            logger.error("Liner panel not found", { owner: ownerName });
-            return;
-          }
+      owners.forEach(function (ownerName) {
+        var linerNode = buildLinerNode(ownerName, ownerIds[ownerName] || "");
+        tree.appendChild(linerNode);
 
-          var ships = Object.keys(map[ownerName]).sort(function (a, b) {
-            return a.localeCompare(b, locale, { sensitivity: "base" });
-          });
+        var panel = linerNode.querySelector(".browse-tree__panel");
+        if (!panel) {
+          logger.error("Liner panel not found", { owner: ownerName });
+          return;
+        }
 
-          ships.forEach(function (shipName) {
-            var meta = map[ownerName][shipName] || {};
-            var shipsWrap = panel.querySelector(".browse-tree__ships") || panel;
+        var ships = Object.keys(map[ownerName]).sort(function (a, b) {
+          return a.localeCompare(b, locale, { sensitivity: "base" });
+        });
 
-            shipsWrap.appendChild(
-              buildShipNode(ownerName, shipName, meta.vesselId || "", meta.weight || "")
-            );
-            shipCount++;
-          });
+        ships.forEach(function (shipName) {
+          var meta = map[ownerName][shipName] || {};
+          var shipsWrap = panel.querySelector(".browse-tree__ships") || panel;
+
+          shipsWrap.appendChild(
+            buildShipNode(ownerName, shipName, meta.vesselId || "", meta.weight || "", meta)
+          );
+          shipCount++;
         });
+      });
 
-        __ShipScoresData.totalShips = shipCount;
+      __ShipScoresData.totalShips = shipCount;
 
-        normalizeShipSummaryMarkup(tree);
+      normalizeShipSummaryMarkup(tree);
 
-        // Re-bind behaviors on new DOM
-        ensureSummariesTabbable();
-        collapseAllOnLoad();
-        setupLiners();
-        setupShips();
+      // Re-bind behaviors on new DOM
+      ensureSummariesTabbable();
+      collapseAllOnLoad();
+      setupLiners();
+      setupShips();
 
-        // Re-apply search filter if present
-        var applyFn2 = (window.ShipScores && window.ShipScores.applyFilter) || window.__ShipScoresApplyFilter;
-        if (typeof applyFn2 === "function") {
-          var input = document.getElementById("linerSearch");
-          applyFn2(input ? input.value : "");
-        }
+      renderWeightFacet(tree);
+      renderLinerStats(tree);
+      applySortOrder(tree);
+      resetComparisonHistories();
+      loadRecentInspections();
 
-        if (done) done(true);
-      })
-      .catch(function (err) {
-        // H2: Show user-visible error message
-        logger.error("Vessels OData load failed", { error: err });
-        showTreeError(tree);
-        if (done) done(false);
-      });
-  }
+      // Re-apply search filter if present
+      reapplyFilter();
 
-  // =========================================================
-  // Debug focus logs
-  // =========================================================
-  function setupDebug() {
-    if (!DBG) return;
+      // Single-line embed: nothing to choose between, so start expanded
+      if (LINE_FILTER && owners.length === 1) {
+        var onlyLiner = qs(tree, "details.browse-tree__liner");
+        if (onlyLiner) onlyLiner.open = true;
+      }
 
-    document.addEventListener("focusin", function (e) {
-      var t = e.target;
-      if (!t || !t.matches) return;
+      // Deep link: open + focus the liner/ship named in the URL (first load only)
+      if (!__deepLinkApplied) {
+        __deepLinkApplied = true;
+        applyUrlStateToTree(tree);
+      }
+    }
 
-      if (t.matches("summary.browse-tree__summary")) {
-        logger.debug("FOCUSIN -> SUMMARY", { text: textOf(t) });
+    function loadLinersAndShipsFromVessels(done) {
+      var tree = els.tree;
+      if (!tree || __destroyed) {
+        logger.warn("Vessels OData load skipped: tree root not found");
+        if (done) done(false);
         return;
       }
-      if (t.matches('[data-ship-focus="info"]')) {
-        logger.debug("FOCUSIN -> INFO", {
-          name: t.getAttribute("aria-label") || t.getAttribute("aria-labelledby"),
-          visible: isVisible(t)
-        });
+
+      var source = getDataSource();
+      if (typeof source.isAvailable === "function" && !source.isAvailable()) {
+        logger.warn("Vessels load skipped: data source not available", { source: source.name });
+        if (done) done(false);
         return;
       }
-      if (t.matches('[data-ship-focus="history"]')) {
-        logger.debug("FOCUSIN -> HISTORY", {
-          name: t.getAttribute("aria-label") || t.getAttribute("aria-labelledby"),
-          visible: isVisible(t)
+
+      var seq = ++__vesselLoadSeq;
+      var years = getLookbackYears();
+      var cacheKey = vesselsCacheKey(years);
+      var cached = readPersistentCache(cacheKey);
+
+      // Storage cache hit: render right away; revalidate in the background once past TTL
+      if (cached) {
+        logger.info("Vessels rendered from storage cache", {
+          count: cached.data.length, ageSeconds: Math.round(cached.ageMs / 1000), fresh: cached.fresh
         });
+        renderVesselRows(tree, cached.data);
+        if (done) done(true);
+        if (cached.fresh) return;
+
+        fetchVessels(years)
+          .then(function (rows) {
+            if (seq !== __vesselLoadSeq) return;
+            writePersistentCache(cacheKey, rows);
+
+            if (JSON.stringify(rows) === JSON.stringify(cached.data)) {
+              logger.debug("Vessels revalidated: unchanged");
+              return;
+            }
+
+            logger.info("Vessels revalidated: data changed, re-rendering", { count: rows.length });
+            var state = captureTreeState(tree);
+            renderVesselRows(tree, rows);
+            restoreTreeState(tree, state);
+          })
+          .catch(function (err) {
+            logger.warn("Vessels revalidation failed; keeping cached tree", { error: err });
+          });
         return;
       }
-      if (t.matches("#linerSearch")) {
-        logger.debug("FOCUSIN -> SEARCH");
+
+      // Announce loading (status text + M4 tree skeleton)
+      if (__search) __search.setLoading();
+      showTreeLoading(tree);
+
+      fetchVessels(years)
+        .then(function (rows) {
+          if (seq !== __vesselLoadSeq) {
+            logger.debug("Vessels load: stale response ignored", { seq: seq });
+            return;
+          }
+
+          writePersistentCache(cacheKey, rows);
+          renderVesselRows(tree, rows);
+
+          if (done) done(true);
+        })
+        .catch(function (err) {
+          if (seq !== __vesselLoadSeq) return;
+
+          // H2: Show user-visible error message (classified, with Retry)
+          logger.error("Vessels load failed", { source: source.name, error: err, kind: loadErrorOf(err).kind });
+          showTreeError(tree, err);
+          if (done) done(false);
+        });
+    }
+
+    // =========================================================
+    // Instance start + teardown
+    // =========================================================
+    function destroy() {
+      if (__destroyed) return;
+      __destroyed = true;
+
+      // Ignore in-flight responses and drop queued work
+      __vesselLoadSeq++;
+      cancelQueuedHistoryBatches();
+      __InspectionCache = Object.create(null);
+
+      __listeners.splice(0).forEach(function (l) { l[0].removeEventListener(l[1], l[2], l[3]); });
+
+      // Generated controls
+      if (els.tree) els.tree.hidden = false;
+      [PERIOD_SELECT_ID, SORT_SELECT_ID, WEIGHT_FACET_ID, VIEW_TOGGLE_ID, TABLE_VIEW_ID, EXPORT_GROUP_ID, BULK_GROUP_ID, COMPARE_PANEL_ID, RECENT_PANEL_ID, SUGGEST_LIST_ID, SEARCH_ERROR_ID, TREE_HINT_ID].forEach(function (id) {
+        var el = document.getElementById(id);
+        if (el && el.parentNode) el.parentNode.removeChild(el);
+        var label = qs(document, 'label[for="' + id + '"]');
+        if (label && label.parentNode) label.parentNode.removeChild(label);
+      });
+
+      if (els.search) {
+        ["role", "aria-autocomplete", "aria-expanded", "aria-controls", "aria-activedescendant", "aria-invalid"].forEach(function (a) {
+          els.search.removeAttribute(a);
+        });
+        renderSearchError(null);
       }
-    });
 
-    document.addEventListener("keydown", function (e) {
-      if (e.key === "Tab") logger.debug("TAB key", { shift: e.shiftKey });
-    });
+      // Node toggle handlers check __destroyed; unmark nodes so a later init can rebind
+      qsa(els.tree, "[data-ship-bound], [data-liner-bound]").forEach(function (d) {
+        d.removeAttribute("data-ship-bound");
+        d.removeAttribute("data-liner-bound");
+      });
 
-    logger.debug("Debug listeners enabled");
-  }
+      var idx = __instances.indexOf(api);
+      if (idx !== -1) __instances.splice(idx, 1);
+      if (els.tree) els.tree.removeAttribute("data-ship-scores");
 
-  // =========================================================
-  // Init
-  // =========================================================
-  function init() {
-    logger.info("=== Init start ===");
+      logger.info("Instance destroyed", { root: els.tree && els.tree.id });
+    }
+
+    var api = {
+      root: els.tree,
+      applyFilter: function (q) { if (__search) __search.applyFilter(q); },
+      setLoading: function () { if (__search) __search.setLoading(); },
+      setEmpty: function () { if (__search) __search.setEmpty(); },
+      setLookbackYears: setLookbackYears,
+      setSortMode: setSortMode,
+      setViewMode: setViewMode,
+      clearComparison: clearComparison,
+      setTreeKeyboard: setTreeKeyboard,
+      setDataSource: setDataSource,
+      clearCache: clearCache,
+      reload: function (done) { loadLinersAndShipsFromVessels(done); },
+      destroy: destroy
+    };
+
+    if (!els.tree) {
+      logger.error("ShipScores.init: root element not found", { root: String(o.root || "") });
+      return null;
+    }
+
+    logger.info("=== Init start ===", { root: els.tree.id || "(element)", lineId: LINE_FILTER || undefined });
+
+    __instances.push(api);
+    els.tree.setAttribute("data-ship-scores", "1");
 
-    syncDocumentTitle();
-    setupDebug();
     ensureSummariesTabbable();
     collapseAllOnLoad();
 
     setupLiners();
     setupShips();
-    setupTabRouting();
-    setupSearch();
+    if (els.search) {
+      setupSearchCombobox();
+      setupSearch();
+      renderPeriodSelector();
+      renderSortSelector();
+      renderViewToggle();
+      renderExportControls();
+      renderBulkControls();
+    }
 
     primeShipDetailsTemplateCache();
+    if (treeKeysRequested()) setTreeKeyboard(true);
 
     loadLinersAndShipsFromVessels(function (ok) {
-      logger.info("Vessels OData load complete", { success: ok });
+      logger.info("Vessels load complete", { success: ok });
     });
 
     logger.info("=== Init complete ===");
+    return api;
+  }
+
+  // =========================================================
+  // Public API + auto-init
+  //
+  //   var inst = ShipScores.init({ root: "#lineTree", lineId: "...", headingLevel: 3 });
+  //   inst.destroy();
+  //
+  // The page's own tree (#browseTree) is still initialized automatically;
+  // add data-ship-scores-auto-init="off" to it to opt out.
+  // M3: applyFilter / setLoading / setEmpty / setLookbackYears / clearCache /
+  // setDataSource on window.ShipScores act on that auto-init instance.
+  // =========================================================
+  var __pageSetupDone = false;
+
+  function setupPage() {
+    if (__pageSetupDone) return;
+    __pageSetupDone = true;
+    setupDebug();
+    setupTabRouting();
+  }
+
+  function initInstance(options) {
+    setupPage();
+    var root = resolveElement(options && options.root);
+    if (root && root.getAttribute("data-ship-scores") === "1") {
+      logger.warn("ShipScores.init: root already initialized; destroy() the existing instance first", { root: root.id });
+      return null;
+    }
+    return createShipScores(options);
+  }
+
+  var ns = window.ShipScores = window.ShipScores || {};
+  ns.init = initInstance;
+  ns.instances = function () { return __instances.slice(); };
+  ns.createFixtureDataSource = createFixtureDataSource;
+
+  function autoInit() {
+    syncDocumentTitle();
+    setupPage();
+
+    var tree = document.getElementById("browseTree");
+    if (!tree || tree.getAttribute("data-ship-scores-auto-init") === "off") return;
+
+    var inst = initInstance({
+      root: tree,
+      searchInput: "linerSearch",
+      status: "linerSearchStatus",
+      texts: "shipScoresText",
+      deepLinks: true
+    });
+    if (!inst) return;
+
+    ns.applyFilter = inst.applyFilter;
+    ns.setLoading = inst.setLoading;
+    ns.setEmpty = inst.setEmpty;
+    ns.setLookbackYears = inst.setLookbackYears;
+    ns.setSortMode = inst.setSortMode;
+    ns.setViewMode = inst.setViewMode;
+    ns.clearComparison = inst.clearComparison;
+    ns.setTreeKeyboard = inst.setTreeKeyboard;
+    ns.clearCache = inst.clearCache;
+    ns.setDataSource = inst.setDataSource;
+
+    // Backward-compat aliases (safe to remove once all callers updated)
+    window.__ShipScoresApplyFilter = ns.applyFilter;
+    window.__ShipScoresSetLoading = ns.setLoading;
+    window.__ShipScoresSetEmpty = ns.setEmpty;
   }
 
   if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", init);
+    document.addEventListener("DOMContentLoaded", autoInit);
   } else {
-    init();
+    autoInit();
   }
 })();
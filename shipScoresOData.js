@@ -0,0 +1,213 @@
+// shipScoresOData.js
+(function (root, factory) {
+  "use strict";
+
+  var api = factory();
+
+  // Browser: window.ShipScoresOData (load before shipScores.js)
+  // Node:    require("./shipScoresOData.js") — no DOM needed, so it can be unit-tested
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.ShipScoresOData = api;
+  }
+})(typeof window !== "undefined" ? window : this, function () {
+  "use strict";
+
+  // Ship Scores — OData v4 query builder for the Power Pages Web API
+  //
+  // - select / filter / expand (nested options) / orderby / top
+  // - Typed literals: strings quoted + '' escaped, numbers/booleans/null bare,
+  //   GUIDs validated and emitted in Web API (v4) syntax — bare, no guid'...'
+  // - Every system query option value is encoded exactly once, including
+  //   $select and $expand (previously only $filter was encoded)
+  //
+  // Filter helpers return plain strings so they compose with each other and
+  // with prefixes for lambda variables ("o1/").
+  // =========================================================
+
+  var GUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  // Pre-formatted literal (GUIDs, raw expressions) — passed through as-is
+  function Literal(text) {
+    this.text = text;
+  }
+
+  function stripGuid(g) {
+    return String(g === null || g === undefined ? "" : g)
+      .trim()
+      .replace(/^guid'/i, "")
+      .replace(/'$/, "")
+      .replace(/[{}]/g, "");
+  }
+
+  function isGuid(g) {
+    return GUID_RE.test(stripGuid(g));
+  }
+
+  // Accepts "xxxxxxxx-...", "{xxxxxxxx-...}" or legacy "guid'xxxxxxxx-...'"
+  function guid(g) {
+    var id = stripGuid(g);
+    if (!GUID_RE.test(id)) throw new Error("ShipScoresOData: invalid GUID: " + String(g));
+    return new Literal(id.toLowerCase());
+  }
+
+  function raw(expr) {
+    return new Literal(String(expr));
+  }
+
+  function literal(v) {
+    if (v instanceof Literal) return v.text;
+    if (v === null || v === undefined) return "null";
+    if (typeof v === "boolean") return v ? "true" : "false";
+    if (typeof v === "number") {
+      if (!isFinite(v)) throw new Error("ShipScoresOData: non-finite number literal");
+      return String(v);
+    }
+    if (v instanceof Date) return v.toISOString();
+    return "'" + String(v).replace(/'/g, "''") + "'";
+  }
+
+  // ---------------------------------------------------------
+  // Filter expressions
+  // ---------------------------------------------------------
+  function comparison(op) {
+    return function (field, value) {
+      return field + " " + op + " " + literal(value);
+    };
+  }
+
+  function flatten(args) {
+    var out = [];
+    Array.prototype.forEach.call(args, function (a) {
+      if (Array.isArray(a)) out = out.concat(flatten(a));
+      else if (a) out.push(String(a));
+    });
+    return out;
+  }
+
+  function group(op) {
+    return function () {
+      var parts = flatten(arguments);
+      if (!parts.length) return "";
+      if (parts.length === 1) return parts[0];
+      return "(" + parts.join(" " + op + " ") + ")";
+    };
+  }
+
+  // field in (v1, v2, ...) expressed as an or-chain (portable across portal versions)
+  function oneOf(field, values) {
+    return group("or")((values || []).map(function (v) {
+      return field + " eq " + literal(v);
+    }));
+  }
+
+  // nav/any(alias:clause)
+  function any(navProperty, alias, clause) {
+    return navProperty + "/any(" + alias + ":" + clause + ")";
+  }
+
+  // Function call with named parameters, e.g.
+  //   fn("Microsoft.Dynamics.CRM.LastXYears", { PropertyName: "x", PropertyValue: 5 })
+  function fn(name, params) {
+    var args = Object.keys(params || {}).map(function (k) {
+      return k + "=" + literal(params[k]);
+    });
+    return name + "(" + args.join(",") + ")";
+  }
+
+  // ---------------------------------------------------------
+  // Query
+  // ---------------------------------------------------------
+  function Query(path) {
+    this._path = path || "";
+    this._select = [];
+    this._filter = [];
+    this._expand = [];
+    this._orderby = [];
+    this._top = null;
+  }
+
+  Query.prototype.select = function () {
+    this._select = this._select.concat(flatten(arguments));
+    return this;
+  };
+
+  // Multiple calls are combined with "and"
+  Query.prototype.filter = function () {
+    this._filter = this._filter.concat(flatten(arguments));
+    return this;
+  };
+
+  // sub: optional Query (no path) or function (q) { q.select(...) } for nested options
+  Query.prototype.expand = function (navProperty, sub) {
+    var nested = sub;
+    if (typeof sub === "function") {
+      nested = new Query();
+      sub(nested);
+    }
+    this._expand.push({ name: navProperty, query: nested || null });
+    return this;
+  };
+
+  Query.prototype.orderby = function (field, descending) {
+    this._orderby.push(field + (descending ? " desc" : " asc"));
+    return this;
+  };
+
+  Query.prototype.top = function (n) {
+    var v = parseInt(n, 10);
+    if (!isFinite(v) || v < 1) throw new Error("ShipScoresOData: $top must be a positive integer");
+    this._top = v;
+    return this;
+  };
+
+  // [[name, value], ...] — values are NOT encoded here
+  Query.prototype.options = function () {
+    var out = [];
+    if (this._select.length) out.push(["$select", this._select.join(",")]);
+    if (this._expand.length) {
+      out.push(["$expand", this._expand.map(function (e) {
+        if (!e.query) return e.name;
+        var inner = e.query.options().map(function (o) { return o[0] + "=" + o[1]; }).join(";");
+        return inner ? e.name + "(" + inner + ")" : e.name;
+      }).join(",")]);
+    }
+    if (this._filter.length) out.push(["$filter", group("and")(this._filter)]);
+    if (this._orderby.length) out.push(["$orderby", this._orderby.join(",")]);
+    if (this._top !== null) out.push(["$top", String(this._top)]);
+    return out;
+  };
+
+  Query.prototype.toString = function () {
+    var qs = this.options().map(function (o) {
+      return o[0] + "=" + encodeURIComponent(o[1]);
+    }).join("&");
+    return this._path + (qs ? "?" + qs : "");
+  };
+
+  Query.prototype.build = Query.prototype.toString;
+
+  function query(path) {
+    return new Query(path);
+  }
+
+  return {
+    query: query,
+    guid: guid,
+    isGuid: isGuid,
+    raw: raw,
+    literal: literal,
+    eq: comparison("eq"),
+    ne: comparison("ne"),
+    gt: comparison("gt"),
+    ge: comparison("ge"),
+    lt: comparison("lt"),
+    le: comparison("le"),
+    and: group("and"),
+    or: group("or"),
+    oneOf: oneOf,
+    any: any,
+    fn: fn
+  };
+});
@@ -0,0 +1,278 @@
+// tests/shipScoresOData.test.js
+//
+// Unit tests for the OData query builder. Plain Node, no DOM:
+//   node --test tests/
+//
+// The vessels / incidents cases mirror buildVesselsUrl() and
+// buildIncidentsUrl() in shipScores.js with the default filter config;
+// keep them in step when those queries change.
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert/strict");
+var OData = require("../shipScoresOData.js");
+
+var ANNOUNCED = "05aea5d2-11eb-ef11-9342-0022486e14f0";
+var UNANNOUNCED = "4c5048c5-11eb-ef11-9342-0022486e14f0";
+var CFG = {
+  inspectionTypeIds: [ANNOUNCED, UNANNOUNCED],
+  establishmentType: 992800002,
+  inspectionScope: 786080000,
+  excludedStatusCode: 6
+};
+
+// Query string -> [[name, decoded value], ...]; fails on double encoding
+function decodedOptions(url) {
+  var qs = url.slice(url.indexOf("?") + 1);
+  return qs.split("&").map(function (pair) {
+    var i = pair.indexOf("=");
+    var value = decodeURIComponent(pair.slice(i + 1));
+    assert.doesNotMatch(value, /%[0-9A-F]{2}/i, "value encoded more than once: " + pair);
+    return [pair.slice(0, i), value];
+  });
+}
+
+function inspectionFilterClauses(prefix) {
+  return [
+    OData.ne(prefix + "ethi_finalreportcreated", null),
+    OData.eq(prefix + "statecode", 0),
+    OData.ne(prefix + "statuscode", CFG.excludedStatusCode),
+    OData.eq(prefix + "ethi_inspectionscope", CFG.inspectionScope),
+    OData.oneOf(prefix + "_ethi_rbiinspectiontype_value", CFG.inspectionTypeIds.map(OData.guid))
+  ];
+}
+
+function lastXYears(prefix, years) {
+  return prefix + OData.fn("Microsoft.Dynamics.CRM.LastXYears", {
+    PropertyName: "ethi_inspectionenddateandtime",
+    PropertyValue: years
+  });
+}
+
+var TYPE_CLAUSE = "(_ethi_rbiinspectiontype_value eq " + ANNOUNCED +
+  " or _ethi_rbiinspectiontype_value eq " + UNANNOUNCED + ")";
+var INSPECTION_CLAUSES = "ethi_finalreportcreated ne null and statecode eq 0 and statuscode ne 6" +
+  " and ethi_inspectionscope eq 786080000 and " + TYPE_CLAUSE;
+
+// ---------------------------------------------------------
+// Literals
+// ---------------------------------------------------------
+test("literal: strings are quoted with '' escaping", function () {
+  assert.equal(OData.literal("Royal Caribbean"), "'Royal Caribbean'");
+  assert.equal(OData.literal("O'Neil's"), "'O''Neil''s'");
+  assert.equal(OData.literal(""), "''");
+});
+
+test("literal: numbers, booleans and null are bare", function () {
+  assert.equal(OData.literal(5), "5");
+  assert.equal(OData.literal(-1.5), "-1.5");
+  assert.equal(OData.literal(true), "true");
+  assert.equal(OData.literal(false), "false");
+  assert.equal(OData.literal(null), "null");
+  assert.equal(OData.literal(undefined), "null");
+  assert.throws(function () { OData.literal(NaN); }, /non-finite/);
+  assert.throws(function () { OData.literal(Infinity); }, /non-finite/);
+});
+
+test("literal: dates are ISO, raw() passes through", function () {
+  assert.equal(OData.literal(new Date(Date.UTC(2024, 0, 2))), "2024-01-02T00:00:00.000Z");
+  assert.equal(OData.literal(OData.raw("o1/ethi_name")), "o1/ethi_name");
+});
+
+// ---------------------------------------------------------
+// GUID literals
+// ---------------------------------------------------------
+test("guid: emitted bare and lower-case (Web API v4 syntax)", function () {
+  assert.equal(OData.literal(OData.guid(ANNOUNCED)), ANNOUNCED);
+  assert.equal(OData.literal(OData.guid(ANNOUNCED.toUpperCase())), ANNOUNCED);
+  assert.equal(OData.eq("_ethi_conveyance_value", OData.guid(ANNOUNCED)),
+    "_ethi_conveyance_value eq " + ANNOUNCED);
+});
+
+test("guid: braces, whitespace and legacy guid'...' are normalized", function () {
+  assert.equal(OData.literal(OData.guid("{" + ANNOUNCED + "}")), ANNOUNCED);
+  assert.equal(OData.literal(OData.guid("  " + ANNOUNCED + " ")), ANNOUNCED);
+  assert.equal(OData.literal(OData.guid("guid'" + ANNOUNCED + "'")), ANNOUNCED);
+});
+
+test("guid: malformed ids throw instead of reaching the query", function () {
+  ["", "not-a-guid", ANNOUNCED.slice(1), ANNOUNCED + "' or 1 eq 1", null, undefined].forEach(function (bad) {
+    assert.throws(function () { OData.guid(bad); }, /invalid GUID/, String(bad));
+  });
+});
+
+test("isGuid: accepts the same forms guid() does", function () {
+  assert.equal(OData.isGuid(ANNOUNCED), true);
+  assert.equal(OData.isGuid("{" + UNANNOUNCED + "}"), true);
+  assert.equal(OData.isGuid("guid'" + UNANNOUNCED + "'"), true);
+  assert.equal(OData.isGuid("123"), false);
+  assert.equal(OData.isGuid(null), false);
+});
+
+// ---------------------------------------------------------
+// Filter expressions: and / or / oneOf / any / fn
+// ---------------------------------------------------------
+test("and / or: group, flatten arrays and drop empty parts", function () {
+  assert.equal(OData.and("a eq 1", "b eq 2"), "(a eq 1 and b eq 2)");
+  assert.equal(OData.or(["a eq 1", ["b eq 2", "c eq 3"]]), "(a eq 1 or b eq 2 or c eq 3)");
+  assert.equal(OData.and("a eq 1", "", null), "a eq 1");
+  assert.equal(OData.and(), "");
+});
+
+test("oneOf: or-chain of eq comparisons", function () {
+  assert.equal(OData.oneOf("statuscode", [1, 2, 3]), "(statuscode eq 1 or statuscode eq 2 or statuscode eq 3)");
+  assert.equal(OData.oneOf("name", ["O'Neil"]), "name eq 'O''Neil'");
+  assert.equal(OData.oneOf("name", []), "");
+  assert.equal(OData.oneOf("_ethi_rbiinspectiontype_value", CFG.inspectionTypeIds.map(OData.guid)), TYPE_CLAUSE);
+});
+
+test("any: lambda over a navigation property", function () {
+  assert.equal(OData.any("ethi_Incident_Conveyance_ethi_vessel", "o1", OData.and(
+    OData.ne("o1/ethi_inspectionscore", null),
+    OData.eq("o1/statecode", 0)
+  )), "ethi_Incident_Conveyance_ethi_vessel/any(o1:(o1/ethi_inspectionscore ne null and o1/statecode eq 0))");
+});
+
+test("fn: named parameters use typed literals", function () {
+  assert.equal(lastXYears("o1/", 5),
+    "o1/Microsoft.Dynamics.CRM.LastXYears(PropertyName='ethi_inspectionenddateandtime',PropertyValue=5)");
+  assert.equal(OData.fn("Microsoft.Dynamics.CRM.Today"), "Microsoft.Dynamics.CRM.Today()");
+});
+
+// ---------------------------------------------------------
+// Query: encoding of $select / $filter / $expand
+// ---------------------------------------------------------
+test("query: every option value is encoded exactly once", function () {
+  var url = OData.query("/_api/incidents")
+    .select("ethi_name", "statecode")
+    .filter(OData.eq("ethi_name", "A & B's 100%"))
+    .toString();
+  assert.equal(url, "/_api/incidents?$select=ethi_name%2Cstatecode&$filter=ethi_name%20eq%20'A%20%26%20B''s%20100%25'");
+  assert.deepEqual(decodedOptions(url), [
+    ["$select", "ethi_name,statecode"],
+    ["$filter", "ethi_name eq 'A & B''s 100%'"]
+  ]);
+});
+
+test("query: multiple filter() calls are combined with and", function () {
+  var q = OData.query("/_api/x").filter("a eq 1").filter("b eq 2", "c eq 3");
+  assert.deepEqual(q.options(), [["$filter", "(a eq 1 and b eq 2 and c eq 3)"]]);
+});
+
+test("query: $expand nests options with ; and encodes the whole value", function () {
+  var url = OData.query("/_api/ethi_vessels")
+    .expand("ethi_OwnerId", function (q) { q.select("name", "statecode"); })
+    .expand("ethi_Incident_Conveyance_ethi_vessel", OData.query()
+      .select("incidentid")
+      .filter(OData.ne("ethi_inspectionscore", null))
+      .orderby("ethi_inspectionenddateandtime", true)
+      .top(3))
+    .expand("ethi_plain")
+    .toString();
+  assert.equal(url, "/_api/ethi_vessels?$expand=" +
+    "ethi_OwnerId(%24select%3Dname%2Cstatecode)%2C" +
+    "ethi_Incident_Conveyance_ethi_vessel(%24select%3Dincidentid%3B%24filter%3Dethi_inspectionscore%20ne%20null" +
+    "%3B%24orderby%3Dethi_inspectionenddateandtime%20desc%3B%24top%3D3)%2C" +
+    "ethi_plain");
+  assert.deepEqual(decodedOptions(url), [["$expand",
+    "ethi_OwnerId($select=name,statecode)," +
+    "ethi_Incident_Conveyance_ethi_vessel($select=incidentid;$filter=ethi_inspectionscore ne null;" +
+    "$orderby=ethi_inspectionenddateandtime desc;$top=3)," +
+    "ethi_plain"]]);
+});
+
+test("query: orderby / top, and build() is toString()", function () {
+  var q = OData.query("/_api/incidents").orderby("a").orderby("b", true).top("10");
+  assert.equal(q.build(), "/_api/incidents?$orderby=a%20asc%2Cb%20desc&$top=10");
+  assert.equal(OData.query("/_api/incidents").toString(), "/_api/incidents");
+  assert.throws(function () { OData.query("/x").top(0); }, /\$top/);
+  assert.throws(function () { OData.query("/x").top("abc"); }, /\$top/);
+});
+
+// ---------------------------------------------------------
+// Full page queries (see buildVesselsUrl / buildIncidentsUrl)
+// ---------------------------------------------------------
+function vesselsUrl(years) {
+  return OData.query("/_api/ethi_vessels")
+    .select("ethi_establishmenttype", "ethi_name", "_ethi_ownerid_value", "ethi_vesselid",
+      "statecode", "statuscode", "ethi_shipweightrange")
+    .expand("ethi_Incident_Conveyance_ethi_vessel", function (q) {
+      q.select("incidentid", "ethi_inspectionscore", "ethi_inspectionenddateandtime")
+        .filter(OData.ne("ethi_inspectionscore", null), years > 0 ? lastXYears("", years) : "")
+        .filter(inspectionFilterClauses(""));
+    })
+    .expand("ethi_OwnerId", function (q) {
+      q.select("name", "statecode");
+    })
+    .filter(OData.eq("statecode", 0))
+    .filter(OData.any("ethi_Incident_Conveyance_ethi_vessel", "o1", OData.and(
+      OData.ne("o1/ethi_inspectionscore", null),
+      years > 0 ? lastXYears("o1/", years) : "",
+      inspectionFilterClauses("o1/"),
+      OData.ne("o1/_ownerid_value", null)
+    )))
+    .filter(OData.ne("ethi_OwnerId/name", null), OData.eq("ethi_OwnerId/statecode", 0))
+    .toString();
+}
+
+var INCIDENT_FIELDS = "_ethi_conveyance_value,_ethi_rbiinspectiontype_value,ethi_inspectionenddateandtime," +
+  "ethi_inspectionscore,statecode,statuscode";
+
+function incidentsUrl(vesselIds) {
+  return OData.query("/_api/incidents")
+    .select(INCIDENT_FIELDS.split(","))
+    .filter(inspectionFilterClauses(""), OData.eq("ethi_establishmenttype", CFG.establishmentType))
+    .filter(OData.oneOf("_ethi_conveyance_value", vesselIds.map(OData.guid)))
+    .orderby("ethi_inspectionenddateandtime", true)
+    .toString();
+}
+
+test("vessels URL: 5-year look-back", function () {
+  var url = vesselsUrl(5);
+  var last5 = "Microsoft.Dynamics.CRM.LastXYears(PropertyName='ethi_inspectionenddateandtime',PropertyValue=5)";
+  assert.ok(url.indexOf("/_api/ethi_vessels?$select=") === 0);
+  assert.doesNotMatch(url.slice(url.indexOf("?")), /[ ,;:\/]/, "unencoded characters in query string");
+  assert.deepEqual(decodedOptions(url), [
+    ["$select", "ethi_establishmenttype,ethi_name,_ethi_ownerid_value,ethi_vesselid,statecode,statuscode,ethi_shipweightrange"],
+    ["$expand",
+      "ethi_Incident_Conveyance_ethi_vessel($select=incidentid,ethi_inspectionscore,ethi_inspectionenddateandtime;" +
+      "$filter=(ethi_inspectionscore ne null and " + last5 + " and " + INSPECTION_CLAUSES + "))," +
+      "ethi_OwnerId($select=name,statecode)"],
+    ["$filter",
+      "(statecode eq 0 and ethi_Incident_Conveyance_ethi_vessel/any(o1:(o1/ethi_inspectionscore ne null" +
+      " and o1/" + last5 +
+      " and o1/ethi_finalreportcreated ne null and o1/statecode eq 0 and o1/statuscode ne 6" +
+      " and o1/ethi_inspectionscope eq 786080000" +
+      " and (o1/_ethi_rbiinspectiontype_value eq " + ANNOUNCED +
+      " or o1/_ethi_rbiinspectiontype_value eq " + UNANNOUNCED + ")" +
+      " and o1/_ownerid_value ne null))" +
+      " and ethi_OwnerId/name ne null and ethi_OwnerId/statecode eq 0)"]
+  ]);
+});
+
+test("vessels URL: all years omits LastXYears", function () {
+  var url = vesselsUrl(0);
+  assert.doesNotMatch(decodeURIComponent(url), /LastXYears/);
+  assert.match(decodeURIComponent(url), /\$filter=\(ethi_inspectionscore ne null and ethi_finalreportcreated ne null/);
+});
+
+test("incidents URL: single vessel", function () {
+  var vessel = "{11111111-AAAA-1111-1111-111111111111}";
+  var url = incidentsUrl([vessel]);
+  assert.equal(url,
+    "/_api/incidents?$select=" + encodeURIComponent(INCIDENT_FIELDS) +
+    "&$filter=" + encodeURIComponent("(" + INSPECTION_CLAUSES + " and ethi_establishmenttype eq 992800002" +
+      " and _ethi_conveyance_value eq 11111111-aaaa-1111-1111-111111111111)") +
+    "&$orderby=ethi_inspectionenddateandtime%20desc");
+  assert.doesNotMatch(url, /guid'/);
+});
+
+test("incidents URL: batch of vessels is an or-chain", function () {
+  var a = "11111111-1111-1111-1111-111111111111";
+  var b = "22222222-2222-2222-2222-222222222222";
+  var opts = decodedOptions(incidentsUrl([a, b]));
+  assert.deepEqual(opts[1], ["$filter",
+    "(" + INSPECTION_CLAUSES + " and ethi_establishmenttype eq 992800002" +
+    " and (_ethi_conveyance_value eq " + a + " or _ethi_conveyance_value eq " + b + "))"]);
+  assert.throws(function () { incidentsUrl([a, "bad-id"]); }, /invalid GUID/);
+});